@@ -0,0 +1,121 @@
+/**
+ * Command audit log - Records every command sent to a device through this server
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Most entries returned by one query
+const MAX_QUERY_LIMIT = 1000;
+
+class CommandLog {
+    /**
+     * @param {object} options
+     * @param {string} options.file - SQLite database file
+     */
+    constructor({ file }) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS commands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                time INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                user_email TEXT NOT NULL,
+                device_id INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                attributes TEXT NOT NULL,
+                result TEXT NOT NULL,
+                error TEXT
+            );
+            CREATE INDEX IF NOT EXISTS commands_device_time ON commands (device_id, time);
+            CREATE INDEX IF NOT EXISTS commands_time ON commands (time);
+        `);
+
+        this._insert = this.db.prepare(`
+            INSERT INTO commands (time, user_id, user_email, device_id, type, attributes, result, error)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+    }
+
+    /**
+     * Record a command
+     * @param {object} entry
+     * @param {object} entry.user - Traccar user who sent it
+     * @param {number} entry.deviceId
+     * @param {string} entry.type - Traccar command type
+     * @param {object} entry.attributes
+     * @param {string} entry.result - 'sent', 'queued' or 'failed'
+     * @param {string} [entry.error] - Why it failed
+     */
+    record({ user, deviceId, type, attributes, result, error = null }) {
+        const time = Date.now();
+        const { lastInsertRowid } = this._insert.run(
+            time, user.id, user.email, deviceId, type, JSON.stringify(attributes || {}), result, error
+        );
+        return this._toEntry({
+            id: lastInsertRowid, time, user_id: user.id, user_email: user.email, device_id: deviceId,
+            type, attributes: JSON.stringify(attributes || {}), result, error
+        });
+    }
+
+    /**
+     * Entries newest first, optionally limited to some devices and a time range
+     * @param {object} query
+     * @param {number[]|null} query.deviceIds - null for all devices
+     * @param {Date} [query.from]
+     * @param {Date} [query.to]
+     * @param {number} [query.limit]
+     */
+    query({ deviceIds, from, to, limit = 100 }) {
+        const conditions = [];
+        const params = [];
+
+        if (deviceIds) {
+            if (deviceIds.length === 0) return [];
+            conditions.push(`device_id IN (${deviceIds.map(() => '?').join(', ')})`);
+            params.push(...deviceIds);
+        }
+        if (from) {
+            conditions.push('time >= ?');
+            params.push(from.getTime());
+        }
+        if (to) {
+            conditions.push('time <= ?');
+            params.push(to.getTime());
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.push(Math.min(limit, MAX_QUERY_LIMIT));
+
+        return this.db.prepare(`SELECT * FROM commands ${where} ORDER BY time DESC, id DESC LIMIT ?`)
+            .all(...params)
+            .map(row => this._toEntry(row));
+    }
+
+    /**
+     * Row -> API entry
+     */
+    _toEntry(row) {
+        return {
+            id: row.id,
+            time: new Date(row.time).toISOString(),
+            userId: row.user_id,
+            userEmail: row.user_email,
+            deviceId: row.device_id,
+            type: row.type,
+            attributes: JSON.parse(row.attributes),
+            result: row.result,
+            error: row.error
+        };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { CommandLog };
@@ -0,0 +1,558 @@
+/**
+ * Email notifications - Sends alerts and an end-of-day fleet summary over SMTP
+ *
+ * Recipients are kept in a JSON file like the alert rules and webhooks. Each one
+ * picks the event types and devices they care about and whether they get the
+ * daily summary. Alert mails are throttled per recipient, device and type, with
+ * an hourly cap per recipient, so a flapping device cannot flood a mailbox.
+ */
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const Trajectory = require('./trajectory');
+
+// How often the daily summary time is checked
+const SUMMARY_CHECK_INTERVAL = 60 * 1000;
+
+// Traccar event ids remembered to drop duplicates from per-user feeds
+const MAX_SEEN_EVENTS = 1000;
+
+// Traccar speeds are in knots
+const KNOTS_TO_KMH = 1.852;
+
+// Subjects of the alert mails
+const LABELS = {
+    alarm: 'Báo động',
+    geofenceEnter: 'Vào vùng',
+    geofenceExit: 'Ra khỏi vùng',
+    ignitionOn: 'Bật máy',
+    ignitionOff: 'Tắt máy',
+    deviceOverspeed: 'Quá tốc độ',
+    deviceOnline: 'Trực tuyến',
+    deviceOffline: 'Mất kết nối',
+    deviceMoving: 'Bắt đầu di chuyển',
+    deviceStopped: 'Dừng lại',
+    maintenance: 'Đến hạn bảo dưỡng',
+    ruleOverspeed: 'Vượt tốc độ cho phép',
+    ruleIdle: 'Nổ máy không di chuyển',
+    ruleOffline: 'Mất tín hiệu quá lâu',
+    ruleSchedule: 'Di chuyển ngoài giờ'
+};
+
+/**
+ * Rule alert type as it appears in subscriptions ('overspeed' -> 'ruleOverspeed')
+ */
+function alertType(type) {
+    return `rule${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+}
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Validate a recipient sent by the browser and keep only known fields
+ */
+function validateRecipient(body) {
+    const { email, name, enabled, events, deviceIds, dailySummary } = body || {};
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+        return { error: 'Missing or invalid parameter: email' };
+    }
+    if (events !== undefined && (!Array.isArray(events) || events.some(type => typeof type !== 'string' || !type))) {
+        return { error: 'events must list event types (alarm, geofenceEnter, ruleOverspeed, * ...)' };
+    }
+    if (deviceIds !== undefined && (!Array.isArray(deviceIds) || deviceIds.some(id => !Number.isInteger(id)))) {
+        return { error: 'deviceIds must be an array of ids' };
+    }
+    if ((!events || events.length === 0) && !dailySummary) {
+        return { error: 'Subscribe to at least one event type or to the daily summary' };
+    }
+
+    return {
+        recipient: {
+            email: email.trim(),
+            name: typeof name === 'string' ? name.trim() : '',
+            enabled: enabled !== false,
+            events: [...new Set(events || [])],
+            deviceIds: deviceIds || [],
+            dailySummary: dailySummary === true
+        }
+    };
+}
+
+class EmailNotifier {
+    /**
+     * @param {object} options
+     * @param {string} options.file - JSON file the recipients are stored in
+     * @param {object|null} options.smtp - { host, port, secure, user, password, rejectUnauthorized }, null to disable sending
+     * @param {string} options.from - Sender address
+     * @param {number} options.throttleMinutes - Quiet time per recipient, device and type after a mail
+     * @param {number} options.maxPerHour - Alert mails per recipient per hour
+     * @param {string|null} options.summaryTime - 'HH:mm' to send the daily summary, null for never
+     * @param {string} [options.timezone] - Timezone of summaryTime and of the dates in mails
+     * @param {Function} options.getRoute - async (deviceId, from, to) => positions
+     * @param {Function} [options.getGeofenceName] - async (geofenceId) => name or null
+     */
+    constructor({ file, smtp, from, throttleMinutes, maxPerHour, summaryTime, timezone, getRoute, getGeofenceName }) {
+        this.file = file;
+        this.from = from;
+        this.throttle = throttleMinutes * 60 * 1000;
+        this.maxPerHour = maxPerHour;
+        this.summaryTime = summaryTime;
+        this.timezone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.getRoute = getRoute;
+        this.getGeofenceName = getGeofenceName || (async () => null);
+
+        this.recipients = [];
+        this.nextId = 1;
+        this.devices = new Map();          // deviceId -> device
+        this.seenEvents = new Set();
+        this.throttled = new Map();        // `${recipientId}:${deviceId}:${type}` -> { sentAt, suppressed, touchedAt }
+        this.sentTimes = new Map();        // recipientId -> send times within the last hour
+        this.lastSummaryDay = null;
+
+        this.transport = smtp ? nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+            tls: { rejectUnauthorized: smtp.rejectUnauthorized }
+        }) : null;
+
+        this._load();
+
+        if (this.transport && this.summaryTime) {
+            this._summaryInterval = setInterval(() => this._checkSummary(), SUMMARY_CHECK_INTERVAL);
+            this._summaryInterval.unref();
+        }
+    }
+
+    get enabled() {
+        return !!this.transport;
+    }
+
+    /**
+     * Read recipients from disk
+     */
+    _load() {
+        if (!fs.existsSync(this.file)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.recipients = data.recipients || [];
+            this.nextId = data.nextId || this.recipients.reduce((max, recipient) => Math.max(max, recipient.id + 1), 1);
+            this.lastSummaryDay = data.lastSummaryDay || null;
+            console.log(`📧 Loaded ${this.recipients.length} email recipients`);
+        } catch (error) {
+            console.error('❌ Unable to read email recipients:', error.message);
+        }
+    }
+
+    /**
+     * Write recipients to disk (through a temp file so a crash never leaves half a file)
+     */
+    _save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({
+            nextId: this.nextId,
+            lastSummaryDay: this.lastSummaryDay,
+            recipients: this.recipients
+        }, null, 2));
+        fs.renameSync(temp, this.file);
+    }
+
+    list() {
+        return this.recipients;
+    }
+
+    get(id) {
+        return this.recipients.find(recipient => recipient.id === id) || null;
+    }
+
+    /**
+     * Add a validated recipient
+     */
+    create(recipient, user) {
+        const created = {
+            id: this.nextId++,
+            ...recipient,
+            createdBy: user.email,
+            updatedAt: new Date().toISOString()
+        };
+        this.recipients.push(created);
+        this._save();
+        return created;
+    }
+
+    /**
+     * Replace a recipient's subscriptions
+     */
+    update(id, recipient, user) {
+        const index = this.recipients.findIndex(r => r.id === id);
+        if (index < 0) return null;
+
+        this.recipients[index] = {
+            ...this.recipients[index],
+            ...recipient,
+            updatedBy: user.email,
+            updatedAt: new Date().toISOString()
+        };
+        this._save();
+        return this.recipients[index];
+    }
+
+    remove(id) {
+        const index = this.recipients.findIndex(r => r.id === id);
+        if (index < 0) return false;
+
+        this.recipients.splice(index, 1);
+        this._save();
+        return true;
+    }
+
+    /**
+     * Learn device names (snapshots and device updates)
+     */
+    updateDevices(devices) {
+        devices.forEach(device => this.devices.set(device.id, device));
+    }
+
+    /**
+     * Mail the Traccar events of a feed message ({ devices, events })
+     * Per-user feeds deliver the same event once per user, so repeats are dropped
+     */
+    handleMessage(data) {
+        if (data.devices) {
+            this.updateDevices(data.devices);
+        }
+
+        if (data.events) {
+            data.events.forEach(event => {
+                if (this.seenEvents.has(event.id)) return;
+                this.seenEvents.add(event.id);
+                if (this.seenEvents.size > MAX_SEEN_EVENTS) {
+                    this.seenEvents.delete(this.seenEvents.values().next().value);
+                }
+
+                this._notify(event.type, event.deviceId, { event, time: event.eventTime });
+            });
+        }
+    }
+
+    /**
+     * Mail an alert raised by the rules engine
+     */
+    handleAlert(alert) {
+        this._notify(alertType(alert.type), alert.deviceId, { alert, time: alert.time });
+    }
+
+    /**
+     * Send an alert mail to every subscribed recipient that is not throttled
+     * '*' matches every event and alert type
+     */
+    async _notify(type, deviceId, data) {
+        if (!this.transport) return;
+
+        const recipients = this.recipients.filter(recipient =>
+            recipient.enabled &&
+            (recipient.events.includes(type) || recipient.events.includes('*')) &&
+            (recipient.deviceIds.length === 0 || recipient.deviceIds.includes(deviceId)));
+        if (recipients.length === 0) return;
+
+        let message;
+        try {
+            message = await this._alertMessage(type, deviceId, data);
+        } catch (error) {
+            console.error('❌ Unable to build alert email:', error.message);
+            return;
+        }
+
+        recipients.forEach(recipient => {
+            const suppressed = this._throttle(recipient, deviceId, type);
+            if (suppressed === null) return;
+
+            const note = suppressed > 0
+                ? `<p style="color:#888">${suppressed} cảnh báo tương tự đã bị gộp trong ${Math.round(this.throttle / 60000)} phút qua.</p>`
+                : '';
+            this._send(recipient.email, message.subject, message.html.replace('<!--suppressed-->', note));
+        });
+    }
+
+    /**
+     * Whether a recipient may get this mail now: null when throttled,
+     * otherwise how many similar mails were held back since the last one
+     */
+    _throttle(recipient, deviceId, type) {
+        const now = Date.now();
+        const key = `${recipient.id}:${deviceId}:${type}`;
+        this._pruneThrottled(now);
+        const state = this.throttled.get(key);
+
+        const recent = (this.sentTimes.get(recipient.id) || []).filter(time => now - time < 60 * 60 * 1000);
+        this.sentTimes.set(recipient.id, recent);
+
+        if ((state && now - state.sentAt < this.throttle) || recent.length >= this.maxPerHour) {
+            if (state) {
+                state.suppressed++;
+                state.touchedAt = now;
+            } else {
+                this.throttled.set(key, { sentAt: 0, suppressed: 1, touchedAt: now });
+            }
+            return null;
+        }
+
+        const suppressed = state ? state.suppressed : 0;
+        this.throttled.set(key, { sentAt: now, suppressed: 0, touchedAt: now });
+        recent.push(now);
+        return suppressed;
+    }
+
+    /**
+     * Forget throttle entries untouched for a whole throttle window - they hold nothing back any more
+     */
+    _pruneThrottled(now) {
+        this.throttled.forEach((state, key) => {
+            if (now - state.touchedAt >= this.throttle) this.throttled.delete(key);
+        });
+    }
+
+    /**
+     * Subject and HTML of an alert mail
+     */
+    async _alertMessage(type, deviceId, { event, alert, time }) {
+        const deviceName = this._deviceName(deviceId);
+        const rows = [['Xe', deviceName], ['Thời gian', this._formatDateTime(time)]];
+        let title = LABELS[type] || type;
+        let latitude = null;
+        let longitude = null;
+
+        if (alert) {
+            title += ` - ${alert.ruleName}`;
+            latitude = alert.latitude;
+            longitude = alert.longitude;
+            if (alert.details.speed !== undefined) rows.push(['Tốc độ', `${alert.details.speed} km/h`]);
+            if (alert.details.speedLimit !== undefined) rows.push(['Giới hạn', `${alert.details.speedLimit} km/h`]);
+            if (alert.details.since) rows.push(['Bắt đầu từ', this._formatDateTime(alert.details.since)]);
+            if (alert.details.lastSeen) rows.push(['Lần cuối có tín hiệu', this._formatDateTime(alert.details.lastSeen)]);
+        }
+
+        if (event) {
+            if (event.attributes?.alarm) title += `: ${event.attributes.alarm}`;
+            if (event.attributes?.speed) rows.push(['Tốc độ', `${(event.attributes.speed * KNOTS_TO_KMH).toFixed(0)} km/h`]);
+            if (event.geofenceId) {
+                const geofence = await this.getGeofenceName(event.geofenceId);
+                rows.push(['Vùng', geofence || `#${event.geofenceId}`]);
+            }
+        }
+
+        if (latitude != null && longitude != null) {
+            const url = `https://www.google.com/maps?q=${latitude},${longitude}`;
+            rows.push(['Vị trí', `<a href="${url}">${latitude.toFixed(5)}, ${longitude.toFixed(5)}</a>`]);
+        }
+
+        const table = rows.map(([label, value]) => `
+            <tr>
+                <td style="padding:4px 12px 4px 0;color:#666">${escapeHtml(label)}</td>
+                <td style="padding:4px 0">${label === 'Vị trí' ? value : escapeHtml(value)}</td>
+            </tr>`).join('');
+
+        return {
+            subject: `[GPS] ${title} - ${deviceName}`,
+            html: this._layout(escapeHtml(title), `<table style="border-collapse:collapse">${table}</table><!--suppressed-->`)
+        };
+    }
+
+    /**
+     * Send the daily summary once the configured local time has passed
+     * (the day is saved so a restart does not send it twice)
+     */
+    _checkSummary() {
+        const now = new Date();
+        const { day, minutes } = this._localClock(now);
+        const [hour, minute] = this.summaryTime.split(':').map(Number);
+
+        if (day === this.lastSummaryDay || minutes < hour * 60 + minute) return;
+        this.lastSummaryDay = day;
+        this._save();
+
+        this.sendSummary().catch(error => console.error('❌ Daily summary failed:', error.message));
+    }
+
+    /**
+     * Mail today's stats (local midnight until now) to the summary subscribers
+     * @param {number} [recipientId] - Only this recipient, even if not subscribed
+     */
+    async sendSummary(recipientId = null) {
+        if (!this.transport) return 0;
+
+        const recipients = recipientId
+            ? this.recipients.filter(r => r.id === recipientId)
+            : this.recipients.filter(r => r.enabled && r.dailySummary);
+        if (recipients.length === 0) return 0;
+
+        const to = new Date();
+        const from = this._startOfDay(to);
+
+        // Load each device once, whoever asked for it
+        const deviceIds = new Set();
+        recipients.forEach(recipient => {
+            (recipient.deviceIds.length ? recipient.deviceIds : [...this.devices.keys()]).forEach(id => deviceIds.add(id));
+        });
+
+        const stats = new Map();
+        for (const deviceId of deviceIds) {
+            try {
+                stats.set(deviceId, Trajectory.stats(await this.getRoute(deviceId, from, to)));
+            } catch (error) {
+                console.error(`Failed to load route of device ${deviceId} for the daily summary:`, error.message);
+                stats.set(deviceId, null);
+            }
+        }
+
+        const { day } = this._localClock(to);
+        await Promise.all(recipients.map(recipient => {
+            const ids = recipient.deviceIds.length ? recipient.deviceIds : [...this.devices.keys()];
+            return this._send(recipient.email, `[GPS] Tổng kết ngày ${day}`, this._summaryHtml(day, ids, stats));
+        }));
+
+        console.log(`📧 Daily summary sent to ${recipients.length} recipient(s)`);
+        return recipients.length;
+    }
+
+    /**
+     * HTML of the daily summary: one row per device and the fleet totals
+     */
+    _summaryHtml(day, deviceIds, stats) {
+        const cell = 'padding:6px 10px;border-bottom:1px solid #eee;text-align:right';
+        const total = { distance: 0, maxSpeed: 0, stops: 0, moving: 0 };
+
+        const rows = deviceIds
+            .map(id => ({ id, name: this._deviceName(id), stats: stats.get(id) }))
+            .sort((a, b) => (b.stats?.distance || 0) - (a.stats?.distance || 0))
+            .map(({ name, stats: s }) => {
+                if (!s) {
+                    return `<tr><td style="${cell};text-align:left">${escapeHtml(name)}</td><td colspan="4" style="${cell};color:#c00">Không tải được dữ liệu</td></tr>`;
+                }
+
+                total.distance += s.distance;
+                total.maxSpeed = Math.max(total.maxSpeed, s.maxSpeed);
+                total.stops += s.stops;
+                if (s.distance > 0) total.moving++;
+
+                return `
+                    <tr>
+                        <td style="${cell};text-align:left">${escapeHtml(name)}</td>
+                        <td style="${cell}">${s.distance.toFixed(1)}</td>
+                        <td style="${cell}">${s.maxSpeed.toFixed(0)}</td>
+                        <td style="${cell}">${s.avgSpeed.toFixed(0)}</td>
+                        <td style="${cell}">${s.stops}</td>
+                    </tr>`;
+            }).join('');
+
+        const head = 'padding:6px 10px;border-bottom:2px solid #ddd;text-align:right';
+        const body = `
+            <p>${total.moving}/${deviceIds.length} xe có di chuyển, tổng cộng <b>${total.distance.toFixed(1)} km</b>,
+               tốc độ cao nhất <b>${total.maxSpeed.toFixed(0)} km/h</b>, <b>${total.stops}</b> lần dừng đỗ.</p>
+            <table style="border-collapse:collapse;width:100%">
+                <tr>
+                    <th style="${head};text-align:left">Xe</th>
+                    <th style="${head}">Km di chuyển</th>
+                    <th style="${head}">Km/h tối đa</th>
+                    <th style="${head}">Km/h trung bình</th>
+                    <th style="${head}">Lần dừng đỗ</th>
+                </tr>
+                ${rows}
+            </table>`;
+
+        return this._layout(`Tổng kết ngày ${escapeHtml(day)}`, body);
+    }
+
+    /**
+     * Common frame of every mail
+     */
+    _layout(title, body) {
+        return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,sans-serif;color:#222">
+    <div style="max-width:640px;margin:0 auto;background:#fff;border-radius:8px;padding:24px">
+        <h2 style="margin:0 0 16px;font-size:18px">${title}</h2>
+        ${body}
+        <p style="margin-top:24px;font-size:12px;color:#999">GPS Realtime Tracker</p>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Send one mail to check the SMTP settings
+     */
+    async sendTest(to) {
+        if (!this.transport) throw new Error('Email is not configured');
+        return this._send(to, '[GPS] Email thử', this._layout('Email thử', '<p>Cấu hình SMTP hoạt động.</p>'), true);
+    }
+
+    /**
+     * Send a mail, logging failures unless the caller wants them
+     */
+    async _send(to, subject, html, throwOnError = false) {
+        try {
+            const info = await this.transport.sendMail({ from: this.from, to, subject, html });
+            console.log(`📧 Sent "${subject}" to ${to}`);
+            return { messageId: info.messageId };
+        } catch (error) {
+            console.error(`❌ Unable to email ${to}:`, error.message);
+            if (throwOnError) throw error;
+            return null;
+        }
+    }
+
+    _deviceName(deviceId) {
+        return this.devices.get(deviceId)?.name || `#${deviceId}`;
+    }
+
+    /**
+     * Local date (DD/MM/YYYY) and minutes since local midnight in the mail timezone
+     */
+    _localClock(date) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).map(part => [part.type, part.value]));
+
+        return {
+            day: `${parts.day}/${parts.month}/${parts.year}`,
+            minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+            seconds: parseInt(parts.hour) * 3600 + parseInt(parts.minute) * 60 + parseInt(parts.second)
+        };
+    }
+
+    _startOfDay(date) {
+        return new Date(Math.floor(date.getTime() / 1000) * 1000 - this._localClock(date).seconds * 1000);
+    }
+
+    _formatDateTime(iso) {
+        return new Date(iso).toLocaleString('vi-VN', { timeZone: this.timezone, hour12: false });
+    }
+
+    /**
+     * Stop the summary timer and the SMTP connections
+     */
+    close() {
+        clearInterval(this._summaryInterval);
+        if (this.transport) this.transport.close();
+    }
+}
+
+module.exports = { EmailNotifier, validateRecipient };
@@ -0,0 +1,347 @@
+/**
+ * Route export - Writes a route as GPX, KML, GeoJSON or CSV
+ *
+ * Every format is a writer with head(), write(positions) and tail() returning text,
+ * so the server can send a long route window by window as it loads instead of
+ * building the whole file in memory. Only the current line segment (a bounded
+ * number of points) and the list of stops are kept between windows.
+ */
+
+// Traccar speeds are in knots
+const KNOTS_TO_KMH = 1.852;
+const KNOTS_TO_MS = 0.514444;
+
+// Stops marked in KML/GeoJSON - same thresholds as the history view
+const STOP_SPEED = 1;                 // km/h
+const STOP_MIN_DURATION = 60 * 1000;
+
+// Same-color runs longer than this are split so a segment never grows unbounded
+const SEGMENT_MAX_POINTS = 500;
+
+// Speed classes with the colors of the route on the map
+const SPEED_CLASSES = [
+    { name: 'stopped', max: STOP_SPEED, color: '#ff4466', label: 'Dừng' },
+    { name: 'slow', max: 30, color: '#ffaa00', label: 'Chậm (< 30 km/h)' },
+    { name: 'normal', max: 60, color: '#00ff88', label: 'Bình thường (30-60 km/h)' },
+    { name: 'fast', max: Infinity, color: '#00d4ff', label: 'Nhanh (> 60 km/h)' }
+];
+
+function speedClass(position) {
+    const speed = position.speed * KNOTS_TO_KMH;
+    return SPEED_CLASSES.find(c => speed < c.max);
+}
+
+function escapeXml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+    const text = String(value == null ? '' : value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formatter for local "YYYY-MM-DD HH:mm:ss" times in a timezone
+ */
+function localTimeFormatter(timezone) {
+    const format = new Intl.DateTimeFormat('sv-SE', {
+        timeZone: timezone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hour12: false
+    });
+    return (time) => format.format(new Date(time));
+}
+
+/**
+ * Cuts positions into runs of the same speed class and notes the stops
+ *
+ * Consecutive segments share their boundary point so the line stays connected.
+ */
+class Segmenter {
+    constructor() {
+        this.segment = null;
+        this.stops = [];
+        this._stopStart = null;
+    }
+
+    /**
+     * Add a position, returning the segment it closed (or null)
+     */
+    push(position) {
+        this._trackStop(position);
+
+        const cls = speedClass(position);
+        if (!this.segment) {
+            this.segment = { cls, positions: [position] };
+            return null;
+        }
+
+        // A segment is colored by the speed at its points after the first, like the map
+        if (this.segment.positions.length === 1) this.segment.cls = cls;
+
+        if (cls === this.segment.cls && this.segment.positions.length < SEGMENT_MAX_POINTS) {
+            this.segment.positions.push(position);
+            return null;
+        }
+
+        const done = this.segment;
+        const last = done.positions[done.positions.length - 1];
+        this.segment = { cls, positions: [last, position] };
+        return done.positions.length > 1 ? done : null;
+    }
+
+    /**
+     * The last open segment, if it has a line to draw
+     */
+    flush() {
+        const done = this.segment;
+        this.segment = null;
+        return done && done.positions.length > 1 ? done : null;
+    }
+
+    _trackStop(position) {
+        const stopped = position.speed * KNOTS_TO_KMH < STOP_SPEED;
+        if (stopped) {
+            if (!this._stopStart) this._stopStart = position;
+            return;
+        }
+
+        if (this._stopStart) {
+            const duration = new Date(position.deviceTime) - new Date(this._stopStart.deviceTime);
+            if (duration >= STOP_MIN_DURATION) {
+                this.stops.push({ position: this._stopStart, duration });
+            }
+            this._stopStart = null;
+        }
+    }
+}
+
+/**
+ * GPX 1.1 track; speed (m/s) and course in Garmin TrackPointExtension
+ */
+class GpxWriter {
+    constructor({ name }) {
+        this.name = name;
+        this.contentType = 'application/gpx+xml';
+        this.extension = 'gpx';
+    }
+
+    head() {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<gpx version="1.1" creator="GPS Realtime Tracker" xmlns="http://www.topografix.com/GPX/1/1"' +
+            ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">\n' +
+            `<metadata><name>${escapeXml(this.name)}</name><time>${new Date().toISOString()}</time></metadata>\n` +
+            `<trk><name>${escapeXml(this.name)}</name><trkseg>\n`;
+    }
+
+    write(positions) {
+        return positions.map(p => {
+            const ele = p.altitude ? `<ele>${p.altitude}</ele>` : '';
+            return `<trkpt lat="${p.latitude}" lon="${p.longitude}">${ele}` +
+                `<time>${new Date(p.deviceTime).toISOString()}</time>` +
+                '<extensions><gpxtpx:TrackPointExtension>' +
+                `<gpxtpx:speed>${(p.speed * KNOTS_TO_MS).toFixed(2)}</gpxtpx:speed>` +
+                `<gpxtpx:course>${p.course || 0}</gpxtpx:course>` +
+                '</gpxtpx:TrackPointExtension></extensions></trkpt>\n';
+        }).join('');
+    }
+
+    tail() {
+        return '</trkseg></trk>\n</gpx>\n';
+    }
+}
+
+/**
+ * KML document with speed-colored segments and placemarks for the stops
+ */
+class KmlWriter {
+    constructor({ name, timezone }) {
+        this.name = name;
+        this.localTime = localTimeFormatter(timezone);
+        this.segmenter = new Segmenter();
+        this.contentType = 'application/vnd.google-earth.kml+xml';
+        this.extension = 'kml';
+    }
+
+    head() {
+        // KML colors are aabbggrr
+        const styles = SPEED_CLASSES.map(c => {
+            const [r, g, b] = [c.color.slice(1, 3), c.color.slice(3, 5), c.color.slice(5, 7)];
+            return `<Style id="${c.name}"><LineStyle><color>ff${b}${g}${r}</color><width>4</width></LineStyle></Style>\n`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n' +
+            `<name>${escapeXml(this.name)}</name>\n` +
+            styles +
+            '<Style id="stop"><IconStyle><color>ff00aaff</color>' +
+            '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/parking_lot.png</href></Icon></IconStyle></Style>\n' +
+            '<Folder><name>Lộ trình</name>\n';
+    }
+
+    write(positions) {
+        return positions
+            .map(p => this.segmenter.push(p))
+            .filter(Boolean)
+            .map(segment => this._placemark(segment))
+            .join('');
+    }
+
+    tail() {
+        const last = this.segmenter.flush();
+        const stops = this.segmenter.stops.map(({ position, duration }) => {
+            const minutes = Math.round(duration / 60000);
+            return '<Placemark>' +
+                `<name>Dừng ${minutes} phút</name>` +
+                `<description>${escapeXml(this.localTime(position.deviceTime))}</description>` +
+                `<TimeStamp><when>${new Date(position.deviceTime).toISOString()}</when></TimeStamp>` +
+                '<styleUrl>#stop</styleUrl>' +
+                `<Point><coordinates>${position.longitude},${position.latitude}</coordinates></Point>` +
+                '</Placemark>\n';
+        }).join('');
+
+        return (last ? this._placemark(last) : '') +
+            '</Folder>\n' +
+            `<Folder><name>Điểm dừng</name>\n${stops}</Folder>\n` +
+            '</Document>\n</kml>\n';
+    }
+
+    _placemark({ cls, positions }) {
+        const start = positions[0].deviceTime;
+        const end = positions[positions.length - 1].deviceTime;
+        const coordinates = positions.map(p => `${p.longitude},${p.latitude},${p.altitude || 0}`).join(' ');
+
+        return '<Placemark>' +
+            `<name>${escapeXml(cls.label)}</name>` +
+            `<TimeSpan><begin>${new Date(start).toISOString()}</begin><end>${new Date(end).toISOString()}</end></TimeSpan>` +
+            `<styleUrl>#${cls.name}</styleUrl>` +
+            `<LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>` +
+            '</Placemark>\n';
+    }
+}
+
+/**
+ * GeoJSON FeatureCollection of speed-colored LineStrings (with coordTimes) and stop points
+ */
+class GeoJsonWriter {
+    constructor({ name }) {
+        this.name = name;
+        this.segmenter = new Segmenter();
+        this.contentType = 'application/geo+json';
+        this.extension = 'geojson';
+        this._first = true;
+    }
+
+    head() {
+        return `{"type":"FeatureCollection","name":${JSON.stringify(this.name)},"features":[\n`;
+    }
+
+    write(positions) {
+        return positions
+            .map(p => this.segmenter.push(p))
+            .filter(Boolean)
+            .map(segment => this._feature(this._line(segment)))
+            .join('');
+    }
+
+    tail() {
+        const last = this.segmenter.flush();
+        const stops = this.segmenter.stops.map(({ position, duration }) => this._feature({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [position.longitude, position.latitude] },
+            properties: {
+                type: 'stop',
+                time: new Date(position.deviceTime).toISOString(),
+                durationMinutes: Math.round(duration / 60000)
+            }
+        })).join('');
+
+        return (last ? this._feature(this._line(last)) : '') + stops + '\n]}\n';
+    }
+
+    _line({ cls, positions }) {
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: positions.map(p => [p.longitude, p.latitude])
+            },
+            properties: {
+                type: 'route',
+                speedClass: cls.name,
+                color: cls.color,
+                coordTimes: positions.map(p => new Date(p.deviceTime).toISOString()),
+                speeds: positions.map(p => Math.round(p.speed * KNOTS_TO_KMH * 10) / 10)
+            }
+        };
+    }
+
+    _feature(feature) {
+        const text = (this._first ? '' : ',\n') + JSON.stringify(feature);
+        this._first = false;
+        return text;
+    }
+}
+
+/**
+ * CSV with one row per position, speeds in km/h and local times (BOM for Excel)
+ */
+class CsvWriter {
+    constructor({ timezone }) {
+        this.localTime = localTimeFormatter(timezone);
+        this.contentType = 'text/csv; charset=utf-8';
+        this.extension = 'csv';
+    }
+
+    head() {
+        return '\ufefftime,latitude,longitude,speed_kmh,course,altitude,valid,satellites,ignition,address\n';
+    }
+
+    write(positions) {
+        return positions.map(p => [
+            this.localTime(p.deviceTime),
+            p.latitude,
+            p.longitude,
+            (p.speed * KNOTS_TO_KMH).toFixed(1),
+            p.course ?? '',
+            p.altitude ?? '',
+            p.valid ?? '',
+            p.attributes?.sat ?? '',
+            p.attributes?.ignition ?? '',
+            p.address ?? ''
+        ].map(escapeCsv).join(',') + '\n').join('');
+    }
+
+    tail() {
+        return '';
+    }
+}
+
+const WRITERS = {
+    gpx: GpxWriter,
+    kml: KmlWriter,
+    geojson: GeoJsonWriter,
+    csv: CsvWriter
+};
+
+const EXPORT_FORMATS = Object.keys(WRITERS);
+
+/**
+ * Writer for a format, or null when the format is unknown
+ *
+ * @param {string} format - gpx, kml, geojson or csv
+ * @param {object} options
+ * @param {string} options.name - Track/document name (the device name)
+ * @param {string} [options.timezone] - Timezone of local times in KML/CSV
+ */
+function createRouteWriter(format, { name, timezone }) {
+    const Writer = WRITERS[format];
+    return Writer ? new Writer({ name, timezone }) : null;
+}
+
+module.exports = { createRouteWriter, EXPORT_FORMATS };
@@ -0,0 +1,45 @@
+/**
+ * History helpers - Splits long route requests into windows Traccar can handle
+ */
+
+/**
+ * Split [from, to] into consecutive windows of at most `size` ms
+ */
+function splitRange(from, to, size) {
+    const windows = [];
+    for (let start = from.getTime(); start < to.getTime(); start += size) {
+        windows.push({
+            from: new Date(start),
+            to: new Date(Math.min(start + size, to.getTime()))
+        });
+    }
+    return windows;
+}
+
+/**
+ * Run `worker` over items with at most `concurrency` in flight,
+ * calling `onResult` for each result in the original order
+ *
+ * A new item is only started once `onResult` is done with an earlier one, so no more
+ * than `concurrency` results are ever held however slowly they are consumed.
+ */
+async function forEachInOrder(items, concurrency, worker, onResult) {
+    const pending = [];
+    let next = 0;
+
+    const start = () => {
+        const index = next++;
+        const result = Promise.resolve().then(() => worker(items[index], index));
+        result.catch(() => {});  // surfaced when its turn comes
+        pending.push(result);
+    };
+
+    while (next < items.length && pending.length < concurrency) start();
+
+    for (let index = 0; index < items.length; index++) {
+        await onResult(await pending.shift(), index);
+        if (next < items.length) start();
+    }
+}
+
+module.exports = { splitRange, forEachInOrder };
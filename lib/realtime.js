@@ -0,0 +1,414 @@
+/**
+ * Realtime hub - Shares Traccar WebSocket connections between browser clients
+ */
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// How long a client's list of allowed devices is trusted before reloading
+const DEVICE_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// Deltas kept per client while its snapshot is loading
+const MAX_PENDING_MESSAGES = 500;
+
+// Upstream reconnection backoff
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+
+/**
+ * A single connection to Traccar's /api/socket
+ */
+class Upstream extends EventEmitter {
+    /**
+     * @param {string} key - Hub key ('service' or 'user:<id>')
+     * @param {object} options
+     * @param {string} options.url - Traccar WebSocket URL
+     * @param {Function} options.getCookie - async () => Traccar session cookie
+     */
+    constructor(key, { url, getCookie }) {
+        super();
+        this.key = key;
+        this.url = url;
+        this.getCookie = getCookie;
+        this.socket = null;
+        this.connected = false;
+        this.stopped = false;
+        this.attempts = 0;
+        this._reconnectTimer = null;
+    }
+
+    /**
+     * Open the connection to Traccar
+     */
+    async start() {
+        let cookie;
+        try {
+            cookie = await this.getCookie();
+        } catch (error) {
+            console.error(`❌ Unable to authenticate Traccar WebSocket (${this.key}):`, error.message);
+            this._scheduleReconnect();
+            return;
+        }
+        if (this.stopped) return;
+
+        const socket = new WebSocket(this.url, {
+            headers: { 'Cookie': cookie }
+        });
+        this.socket = socket;
+
+        socket.on('open', () => {
+            console.log(`✅ Connected to Traccar WebSocket (${this.key})`);
+            const reconnected = this.attempts > 0;
+            this.connected = true;
+            this.attempts = 0;
+            this.emit('status', 'connected', reconnected);
+        });
+
+        socket.on('unexpected-response', (request, response) => {
+            // Traccar rejected the session cookie - the owner re-authenticates
+            if (response.statusCode === 401) {
+                this.emit('unauthorized');
+            }
+            socket.terminate();
+        });
+
+        socket.on('message', (data) => {
+            try {
+                this.emit('message', JSON.parse(data.toString()));
+            } catch (e) {
+                console.error('Invalid message from Traccar:', e.message);
+            }
+        });
+
+        socket.on('error', (error) => {
+            console.error(`❌ Traccar WebSocket error (${this.key}):`, error.message);
+        });
+
+        socket.on('close', () => {
+            console.log(`🔌 Traccar WebSocket closed (${this.key})`);
+            const wasConnected = this.connected;
+            this.socket = null;
+            this.connected = false;
+            if (wasConnected) this.emit('disconnected');
+            this._scheduleReconnect();
+        });
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter
+     */
+    _scheduleReconnect() {
+        if (this.stopped || this._reconnectTimer) return;
+
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.attempts, RECONNECT_MAX_DELAY);
+        const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
+        this.attempts++;
+
+        console.log(`🔄 Reconnecting Traccar WebSocket (${this.key}) in ${(jittered / 1000).toFixed(1)}s (attempt ${this.attempts})`);
+        if (this.attempts === 1) {
+            this.emit('status', 'reconnecting');
+        }
+
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this.start();
+        }, jittered);
+    }
+
+    /**
+     * Close the connection for good
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+class RealtimeHub extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.traccarUrl - Traccar base URL
+     * @param {Function|null} options.serviceCookie - async () => cookie of the service account,
+     *     or null to open one upstream per Traccar user
+     * @param {Function} options.loadDeviceIds - async (session) => ids of devices the user may see
+     * @param {Function} options.loadSnapshot - async (session) => { devices, positions } of the user
+     */
+    constructor({ traccarUrl, serviceCookie, loadDeviceIds, loadSnapshot }) {
+        super();
+        this.wsUrl = traccarUrl.replace('https://', 'wss://').replace('http://', 'ws://') + '/api/socket';
+        this.serviceCookie = serviceCookie;
+        this.loadDeviceIds = loadDeviceIds;
+        this.loadSnapshot = loadSnapshot;
+        this.upstreams = new Map();  // key -> Upstream
+        this.clients = new Set();    // browser sockets
+    }
+
+    /**
+     * Whether a single service account feed is shared by everyone
+     */
+    get shared() {
+        return !!this.serviceCookie;
+    }
+
+    /**
+     * Upstream key used for a session
+     */
+    _keyFor(session) {
+        return this.shared ? 'service' : `user:${session.user.id}`;
+    }
+
+    /**
+     * Get or open the upstream for a session
+     */
+    _ensureUpstream(session) {
+        const key = this._keyFor(session);
+        let upstream = this.upstreams.get(key);
+
+        if (upstream) {
+            // Keep using the freshest cookie of this user
+            if (!this.shared) upstream.cookie = session.traccarCookie;
+            return upstream;
+        }
+
+        upstream = new Upstream(key, {
+            url: this.wsUrl,
+            getCookie: this.shared ? this.serviceCookie : async () => upstream.cookie
+        });
+        if (!this.shared) upstream.cookie = session.traccarCookie;
+
+        upstream.on('message', (data) => this._dispatch(upstream, data));
+        upstream.on('unauthorized', () => this.emit('unauthorized', key));
+
+        // Browser sockets stay open while the upstream reconnects; they only get told about it
+        upstream.on('disconnected', () => this.emit('upstream', key, 'disconnected'));
+        upstream.on('status', (status, reconnected) => {
+            this.emit('upstream', key, status);
+            this._broadcast(key, { type: 'status', upstream: status });
+
+            // Deltas were lost while Traccar was away - resend the full state
+            if (reconnected) {
+                this.clients.forEach(ws => {
+                    if (ws.upstreamKey === key && ws.ready) this._sendSnapshot(ws);
+                });
+            }
+        });
+
+        this.upstreams.set(key, upstream);
+        upstream.start();
+
+        return upstream;
+    }
+
+    /**
+     * Open the shared service feed without waiting for a browser
+     */
+    start() {
+        if (this.shared) {
+            this._ensureUpstream(null);
+        }
+    }
+
+    /**
+     * Subscribe a browser socket for a session
+     */
+    async addClient(ws, session) {
+        ws.session = session;
+        ws.upstreamKey = this._keyFor(session);
+        ws.deviceIds = null;
+        ws.seq = 0;
+
+        this.clients.add(ws);
+        const upstream = this._ensureUpstream(session);
+        if (!upstream.connected && upstream.attempts > 0) {
+            this._send(ws, { type: 'status', upstream: 'reconnecting' });
+        }
+
+        await this._sendSnapshot(ws);
+    }
+
+    /**
+     * Send the full current state to a client, holding back deltas until it is out
+     */
+    async _sendSnapshot(ws) {
+        ws.ready = false;
+        ws.pending = [];
+
+        try {
+            const { devices, positions } = await this.loadSnapshot(ws.session);
+            ws.deviceIds = new Set(devices.map(d => d.id));
+            ws.deviceIdsLoadedAt = Date.now();
+
+            this._send(ws, {
+                type: 'snapshot',
+                seq: ++ws.seq,
+                timestamp: new Date().toISOString(),
+                devices,
+                positions
+            });
+        } catch (error) {
+            // The user's own Traccar session is gone
+            if (error.status === 401) {
+                this.emit('expired', ws.session);
+                return;
+            }
+            console.error('Failed to load snapshot:', error.message);
+            await this._refreshDeviceIds(ws);
+        }
+
+        // Deltas that arrived meanwhile follow the snapshot in order
+        const pending = ws.pending;
+        ws.pending = [];
+        ws.ready = true;
+        pending.forEach(data => this._sendDelta(ws, data));
+    }
+
+    /**
+     * Unsubscribe a browser socket - the upstream stays open for others
+     */
+    removeClient(ws) {
+        this.clients.delete(ws);
+    }
+
+    /**
+     * Close the per-user upstream when the user has no session left
+     */
+    closeUser(userId) {
+        if (this.shared) return;
+
+        const key = `user:${userId}`;
+        const upstream = this.upstreams.get(key);
+        if (upstream) {
+            this.upstreams.delete(key);
+            upstream.stop();
+        }
+    }
+
+    /**
+     * Reload the devices a client is allowed to see
+     */
+    async _refreshDeviceIds(ws) {
+        if (ws.deviceIdsLoading) return;
+        ws.deviceIdsLoading = true;
+
+        try {
+            const ids = await this.loadDeviceIds(ws.session);
+            ws.deviceIds = new Set(ids);
+            ws.deviceIdsLoadedAt = Date.now();
+        } catch (error) {
+            // The user's own Traccar session is gone - stop feeding them the shared stream
+            if (error.status === 401) {
+                ws.deviceIds = new Set();
+                this.emit('expired', ws.session);
+                if (ws.readyState === WebSocket.OPEN) ws.close(4401, 'Session expired');
+                return;
+            }
+            console.error('Failed to load allowed devices:', error.message);
+        } finally {
+            ws.deviceIdsLoading = false;
+        }
+    }
+
+    /**
+     * Fan a Traccar message out to the clients of an upstream
+     */
+    _dispatch(upstream, data) {
+        this.emit('message', data, upstream.key);
+
+        this.clients.forEach(ws => {
+            if (ws.upstreamKey !== upstream.key || ws.readyState !== WebSocket.OPEN) return;
+
+            if (!ws.ready) {
+                if (ws.pending.length < MAX_PENDING_MESSAGES) ws.pending.push(data);
+                return;
+            }
+
+            if (ws.deviceIdsLoadedAt && Date.now() - ws.deviceIdsLoadedAt > DEVICE_REFRESH_INTERVAL) {
+                this._refreshDeviceIds(ws);
+            }
+
+            this._sendDelta(ws, data);
+        });
+    }
+
+    /**
+     * Send the part of a Traccar message a client is allowed to see
+     */
+    _sendDelta(ws, data) {
+        const filtered = this._filter(data, ws.deviceIds);
+        if (filtered) {
+            this._send(ws, {
+                type: 'delta',
+                seq: ++ws.seq,
+                timestamp: new Date().toISOString(),
+                ...filtered
+            });
+        }
+    }
+
+    /**
+     * Send alerts produced on this server to every client allowed to see their device
+     */
+    broadcastAlerts(alerts) {
+        this.clients.forEach(ws => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+
+            if (!ws.ready) {
+                if (ws.pending.length < MAX_PENDING_MESSAGES) ws.pending.push({ alerts });
+                return;
+            }
+            this._sendDelta(ws, { alerts });
+        });
+    }
+
+    /**
+     * Send a message to every client of an upstream
+     */
+    _broadcast(key, message) {
+        this.clients.forEach(ws => {
+            if (ws.upstreamKey === key) this._send(ws, message);
+        });
+    }
+
+    /**
+     * Send a message to a client if its socket is open
+     */
+    _send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Keep only the entries for allowed devices, or null when nothing is left
+     */
+    _filter(data, deviceIds) {
+        if (!deviceIds) return null;
+
+        const result = {};
+        let empty = true;
+
+        if (data.positions) {
+            const positions = data.positions.filter(p => deviceIds.has(p.deviceId));
+            if (positions.length) { result.positions = positions; empty = false; }
+        }
+        if (data.devices) {
+            const devices = data.devices.filter(d => deviceIds.has(d.id));
+            if (devices.length) { result.devices = devices; empty = false; }
+        }
+        if (data.events) {
+            const events = data.events.filter(e => deviceIds.has(e.deviceId));
+            if (events.length) { result.events = events; empty = false; }
+        }
+        if (data.alerts) {
+            const alerts = data.alerts.filter(a => deviceIds.has(a.deviceId));
+            if (alerts.length) { result.alerts = alerts; empty = false; }
+        }
+
+        return empty ? null : result;
+    }
+}
+
+module.exports = { RealtimeHub, Upstream };
@@ -0,0 +1,414 @@
+/**
+ * Rules engine - Turns the live position stream into alerts
+ *
+ * Rules are kept in a JSON file. Each rule targets some devices and/or groups
+ * (or every device when both lists are empty) and keeps per-device state in
+ * memory between messages, so an alert fires once when its condition has held
+ * long enough and again only after the condition cleared.
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const RULE_TYPES = ['overspeed', 'idle', 'offline', 'schedule'];
+
+// How often devices are checked for missing updates
+const OFFLINE_CHECK_INTERVAL = 30 * 1000;
+
+// Alerts kept in memory for clients that connect later
+const MAX_RECENT_ALERTS = 500;
+
+// Traccar speeds are in knots
+const KNOTS_TO_KMH = 1.852;
+
+/**
+ * Parse 'HH:mm' into minutes since midnight, or NaN
+ */
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return NaN;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Validate rule parameters for its type, returning an error message or null
+ */
+function validateParams(type, params) {
+    const positive = (value) => typeof value === 'number' && value > 0;
+
+    switch (type) {
+        case 'overspeed':
+            if (!positive(params.speedLimit)) return 'overspeed needs params.speedLimit (km/h)';
+            if (params.duration !== undefined && !(typeof params.duration === 'number' && params.duration >= 0)) {
+                return 'params.duration must be seconds';
+            }
+            return null;
+        case 'idle':
+            if (!positive(params.duration)) return 'idle needs params.duration (seconds)';
+            return null;
+        case 'offline':
+            if (!positive(params.minutes)) return 'offline needs params.minutes';
+            return null;
+        case 'schedule': {
+            if (!Array.isArray(params.windows) || params.windows.length === 0) {
+                return 'schedule needs params.windows [{ days, start, end }]';
+            }
+            for (const window of params.windows) {
+                if (!Array.isArray(window.days) || window.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+                    return 'window.days must be weekdays 0 (Sunday) to 6';
+                }
+                if (isNaN(parseClock(window.start)) || isNaN(parseClock(window.end))) {
+                    return 'window.start and window.end must be HH:mm';
+                }
+            }
+            if (params.timezone !== undefined) {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: params.timezone });
+                } catch (e) {
+                    return 'Unknown params.timezone';
+                }
+            }
+            return null;
+        }
+        default:
+            return `type must be one of ${RULE_TYPES.join(', ')}`;
+    }
+}
+
+/**
+ * Validate a rule sent by the browser and keep only known fields
+ */
+function validateRule(body) {
+    const { name, type, enabled, deviceIds, groupIds, params } = body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'Missing required parameter: name' };
+    }
+    if (!RULE_TYPES.includes(type)) {
+        return { error: `type must be one of ${RULE_TYPES.join(', ')}` };
+    }
+    for (const list of [deviceIds, groupIds]) {
+        if (list !== undefined && (!Array.isArray(list) || list.some(id => !Number.isInteger(id)))) {
+            return { error: 'deviceIds and groupIds must be arrays of ids' };
+        }
+    }
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+        return { error: 'Missing required parameter: params' };
+    }
+
+    const paramsError = validateParams(type, params);
+    if (paramsError) {
+        return { error: paramsError };
+    }
+
+    return {
+        rule: {
+            name: name.trim(),
+            type,
+            enabled: enabled !== false,
+            deviceIds: deviceIds || [],
+            groupIds: groupIds || [],
+            params
+        }
+    };
+}
+
+class RulesEngine extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.file - JSON file the rules are stored in
+     * @param {string} [options.timezone] - Default timezone of schedule rules
+     */
+    constructor({ file, timezone }) {
+        super();
+        this.file = file;
+        this.timezone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        this.rules = [];
+        this.nextId = 1;
+        this.devices = new Map();         // deviceId -> { groupId, lastSeen }
+        this.lastPositions = new Map();   // deviceId -> last evaluated position
+        this.state = new Map();           // `${ruleId}:${deviceId}` -> rule state
+        this.recentAlerts = [];
+        this.nextAlertId = Date.now();   // ids stay unique across restarts
+
+        this._load();
+
+        this._offlineInterval = setInterval(() => this.checkOffline(), OFFLINE_CHECK_INTERVAL);
+        this._offlineInterval.unref();
+    }
+
+    /**
+     * Read rules from disk
+     */
+    _load() {
+        if (!fs.existsSync(this.file)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.rules = data.rules || [];
+            this.nextId = data.nextId || this.rules.reduce((max, rule) => Math.max(max, rule.id + 1), 1);
+            console.log(`📏 Loaded ${this.rules.length} alert rules`);
+        } catch (error) {
+            console.error('❌ Unable to read alert rules:', error.message);
+        }
+    }
+
+    /**
+     * Write rules to disk (through a temp file so a crash never leaves half a file)
+     */
+    _save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({ nextId: this.nextId, rules: this.rules }, null, 2));
+        fs.renameSync(temp, this.file);
+    }
+
+    list() {
+        return this.rules;
+    }
+
+    get(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Add a validated rule
+     */
+    create(rule, user) {
+        const created = {
+            id: this.nextId++,
+            ...rule,
+            createdBy: user.email,
+            updatedAt: new Date().toISOString()
+        };
+        this.rules.push(created);
+        this._save();
+        return created;
+    }
+
+    /**
+     * Replace a rule's settings, dropping the state built for the old ones
+     */
+    update(id, rule, user) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index < 0) return null;
+
+        this.rules[index] = {
+            ...this.rules[index],
+            ...rule,
+            updatedBy: user.email,
+            updatedAt: new Date().toISOString()
+        };
+        this._clearState(id);
+        this._save();
+        return this.rules[index];
+    }
+
+    remove(id) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index < 0) return false;
+
+        this.rules.splice(index, 1);
+        this._clearState(id);
+        this._save();
+        return true;
+    }
+
+    _clearState(ruleId) {
+        [...this.state.keys()].forEach(key => {
+            if (key.startsWith(`${ruleId}:`)) this.state.delete(key);
+        });
+    }
+
+    /**
+     * Learn devices' groups and last update times (snapshots and device updates)
+     */
+    updateDevices(devices) {
+        devices.forEach(device => {
+            const known = this.devices.get(device.id) || { lastSeen: 0 };
+            const lastUpdate = device.lastUpdate ? new Date(device.lastUpdate).getTime() : 0;
+            this.devices.set(device.id, {
+                groupId: device.groupId || 0,
+                lastSeen: Math.max(known.lastSeen, lastUpdate || 0)
+            });
+        });
+    }
+
+    /**
+     * Evaluate new positions against every rule
+     */
+    processPositions(positions) {
+        positions.forEach(position => {
+            // Per-user feeds deliver the same position once per user
+            const last = this.lastPositions.get(position.deviceId);
+            if (last && (last.id === position.id || new Date(position.fixTime) < new Date(last.fixTime))) return;
+            this.lastPositions.set(position.deviceId, position);
+
+            const device = this.devices.get(position.deviceId) || { groupId: 0, lastSeen: 0 };
+            device.lastSeen = Math.max(device.lastSeen, new Date(position.serverTime || position.fixTime).getTime() || Date.now());
+            this.devices.set(position.deviceId, device);
+
+            this.rules.forEach(rule => {
+                // Offline rules are checked on a timer instead
+                if (!rule.enabled || rule.type === 'offline' || !this._applies(rule, position.deviceId)) return;
+
+                const key = `${rule.id}:${position.deviceId}`;
+                const state = this.state.get(key) || {};
+                this.state.set(key, state);
+
+                const condition = this._evaluate(rule, position);
+                this._track(rule, state, position, condition);
+            });
+        });
+    }
+
+    /**
+     * Alert on devices that have not reported for too long
+     */
+    checkOffline(now = Date.now()) {
+        this.rules.forEach(rule => {
+            if (!rule.enabled || rule.type !== 'offline') return;
+
+            this.devices.forEach((device, deviceId) => {
+                if (!device.lastSeen || !this._applies(rule, deviceId)) return;
+
+                const key = `${rule.id}:${deviceId}`;
+                const state = this.state.get(key) || {};
+                this.state.set(key, state);
+
+                // Reporting again re-arms the rule
+                const silentFor = now - device.lastSeen;
+                if (silentFor < rule.params.minutes * 60 * 1000) {
+                    state.active = false;
+                } else if (!state.active) {
+                    state.active = true;
+                    this._alert(rule, deviceId, this.lastPositions.get(deviceId), {
+                        lastSeen: new Date(device.lastSeen).toISOString(),
+                        minutes: Math.floor(silentFor / 60000)
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Whether a rule targets a device
+     */
+    _applies(rule, deviceId) {
+        if (rule.deviceIds.length === 0 && rule.groupIds.length === 0) return true;
+        if (rule.deviceIds.includes(deviceId)) return true;
+
+        const device = this.devices.get(deviceId);
+        return !!device && rule.groupIds.includes(device.groupId);
+    }
+
+    /**
+     * Whether a position breaks a rule right now, and the details worth reporting
+     */
+    _evaluate(rule, position) {
+        const speed = (position.speed || 0) * KNOTS_TO_KMH;
+        const details = { speed: Math.round(speed) };
+
+        switch (rule.type) {
+            case 'overspeed':
+                return { met: speed > rule.params.speedLimit, hold: rule.params.duration || 0, details: { ...details, speedLimit: rule.params.speedLimit } };
+            case 'idle': {
+                const stationary = speed < (rule.params.speedThreshold || 2) || position.attributes?.motion === false;
+                return { met: position.attributes?.ignition === true && stationary, hold: rule.params.duration, details };
+            }
+            case 'schedule': {
+                const moving = speed >= (rule.params.minSpeed || 5);
+                return { met: moving && !this._inSchedule(rule, new Date(position.fixTime)), hold: 0, details };
+            }
+            default:
+                return { met: false, hold: 0, details };
+        }
+    }
+
+    /**
+     * Fire once the condition held for `hold` seconds, re-arm when it clears
+     */
+    _track(rule, state, position, condition) {
+        if (!condition.met) {
+            state.since = null;
+            state.active = false;
+            return;
+        }
+
+        const time = new Date(position.fixTime).getTime();
+        if (!state.since) state.since = time;
+
+        if (!state.active && time - state.since >= condition.hold * 1000) {
+            state.active = true;
+            this._alert(rule, position.deviceId, position, {
+                ...condition.details,
+                since: new Date(state.since).toISOString()
+            });
+        }
+    }
+
+    /**
+     * Whether a time falls inside one of a schedule rule's windows
+     */
+    _inSchedule(rule, date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: rule.params.timezone || this.timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+
+        const get = (type) => parts.find(p => p.type === type).value;
+        const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+        const minutes = parseInt(get('hour')) * 60 + parseInt(get('minute'));
+        const previousDay = (day + 6) % 7;
+
+        return rule.params.windows.some(window => {
+            const start = parseClock(window.start);
+            const end = parseClock(window.end);
+
+            if (start <= end) {
+                return window.days.includes(day) && minutes >= start && minutes < end;
+            }
+            // Overnight window (e.g. 22:00-06:00) belongs to the day it starts on
+            return (window.days.includes(day) && minutes >= start) ||
+                (window.days.includes(previousDay) && minutes < end);
+        });
+    }
+
+    /**
+     * Emit an alert and remember it
+     */
+    _alert(rule, deviceId, position, details) {
+        const alert = {
+            id: this.nextAlertId++,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            deviceId,
+            positionId: position ? position.id : null,
+            latitude: position ? position.latitude : null,
+            longitude: position ? position.longitude : null,
+            time: new Date().toISOString(),
+            details
+        };
+
+        this.recentAlerts.unshift(alert);
+        if (this.recentAlerts.length > MAX_RECENT_ALERTS) {
+            this.recentAlerts.length = MAX_RECENT_ALERTS;
+        }
+
+        this.emit('alert', alert);
+    }
+
+    /**
+     * Stop the offline checks
+     */
+    close() {
+        clearInterval(this._offlineInterval);
+    }
+}
+
+module.exports = { RulesEngine, validateRule, RULE_TYPES };
@@ -0,0 +1,141 @@
+/**
+ * Session store - Maps browser sessions to per-user Traccar sessions
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const COOKIE_NAME = 'gps_sid';
+
+/**
+ * Parse a Cookie header into a name -> value object
+ */
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.substring(0, index).trim();
+        const value = part.substring(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+class SessionStore extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {number} options.timeout - Idle time in ms before a session expires
+     */
+    constructor({ timeout }) {
+        super();
+        this.timeout = timeout;
+        this.sessions = new Map();  // sessionId -> session
+
+        // Periodically drop idle sessions so their sockets get closed too
+        this._sweepInterval = setInterval(() => this.sweep(), 60000);
+        this._sweepInterval.unref();
+    }
+
+    /**
+     * Create a session for an authenticated Traccar user
+     */
+    create(traccarCookie, user) {
+        const session = {
+            id: crypto.randomBytes(32).toString('hex'),
+            traccarCookie,
+            user,
+            createdAt: Date.now(),
+            lastSeen: Date.now()
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * Get a live session by id and mark it as used
+     */
+    get(sessionId) {
+        const session = sessionId ? this.sessions.get(sessionId) : null;
+        if (!session) return null;
+
+        if (Date.now() - session.lastSeen > this.timeout) {
+            this.destroy(sessionId, 'expired');
+            return null;
+        }
+
+        session.lastSeen = Date.now();
+        return session;
+    }
+
+    /**
+     * Resolve the session of an HTTP or WebSocket upgrade request
+     */
+    fromRequest(req) {
+        const cookies = parseCookies(req.headers.cookie);
+        return this.get(cookies[COOKIE_NAME]);
+    }
+
+    /**
+     * Remove a session (logout, expiry or Traccar rejected the cookie)
+     */
+    destroy(sessionId, reason = 'logout') {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        this.sessions.delete(sessionId);
+        this.emit('destroy', session, reason);
+    }
+
+    /**
+     * All live sessions of a Traccar user
+     */
+    forUser(userId) {
+        return [...this.sessions.values()].filter(session => session.user.id === userId);
+    }
+
+    /**
+     * Drop all sessions idle for longer than the timeout
+     */
+    sweep() {
+        const now = Date.now();
+        this.sessions.forEach((session, id) => {
+            if (now - session.lastSeen > this.timeout) {
+                this.destroy(id, 'expired');
+            }
+        });
+    }
+
+    /**
+     * Number of active sessions
+     */
+    get size() {
+        return this.sessions.size;
+    }
+
+    /**
+     * Send the session cookie to the browser (expiry is enforced server-side)
+     */
+    setCookie(res, session, secure = false) {
+        res.cookie(COOKIE_NAME, session.id, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure
+        });
+    }
+
+    /**
+     * Remove the session cookie from the browser
+     */
+    clearCookie(res) {
+        res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'lax' });
+    }
+}
+
+module.exports = { SessionStore, parseCookies, COOKIE_NAME };
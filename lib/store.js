@@ -0,0 +1,171 @@
+/**
+ * Position store - Local SQLite copy of positions received from Traccar
+ *
+ * Positions are stored as the raw Traccar JSON so route reports served from
+ * here look exactly like Traccar's. Coverage segments record the time ranges
+ * per device that are known to be complete, so a route request is answered
+ * locally only when nothing can be missing. Only ranges read back from Traccar
+ * count as complete: live positions may arrive late or not at all (buffered
+ * fixes a device uploads after reconnecting never come through the WebSocket).
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Buffered positions are written in one transaction at this interval
+const FLUSH_INTERVAL = 1000;
+
+class PositionStore {
+    /**
+     * @param {object} options
+     * @param {string} options.file - SQLite database file
+     * @param {number} options.retentionDays - Days of positions to keep (0 = forever)
+     */
+    constructor({ file, retentionDays }) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.retentionDays = retentionDays;
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS positions (
+                id INTEGER PRIMARY KEY,
+                device_id INTEGER NOT NULL,
+                fix_time INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS positions_device_time ON positions (device_id, fix_time);
+
+            CREATE TABLE IF NOT EXISTS coverage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id INTEGER NOT NULL,
+                start_time INTEGER NOT NULL,
+                end_time INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS coverage_device ON coverage (device_id, start_time);
+        `);
+
+        this._insertPosition = this.db.prepare(
+            'INSERT OR IGNORE INTO positions (id, device_id, fix_time, data) VALUES (?, ?, ?, ?)'
+        );
+        this._insertCoverage = this.db.prepare(
+            'INSERT INTO coverage (device_id, start_time, end_time) VALUES (?, ?, ?)'
+        );
+        this._selectRoute = this.db.prepare(
+            'SELECT data FROM positions WHERE device_id = ? AND fix_time >= ? AND fix_time <= ? ORDER BY fix_time'
+        );
+        this._selectCoverage = this.db.prepare(
+            'SELECT start_time, end_time FROM coverage WHERE device_id = ? AND end_time >= ? AND start_time <= ? ORDER BY start_time'
+        );
+
+        this.pending = [];  // positions waiting for the next flush
+
+        this._flushInterval = setInterval(() => this.flush(), FLUSH_INTERVAL);
+        this._flushInterval.unref();
+
+        this.applyRetention();
+        this._retentionInterval = setInterval(() => this.applyRetention(), 60 * 60 * 1000);
+        this._retentionInterval.unref();
+    }
+
+    /**
+     * Queue live positions received from Traccar
+     */
+    record(positions) {
+        this.pending.push(...positions);
+    }
+
+    /**
+     * Write queued positions
+     */
+    flush() {
+        if (this.pending.length === 0) return;
+
+        const positions = this.pending;
+        this.pending = [];
+
+        this.db.transaction(() => {
+            positions.forEach(position => this._insert(position));
+        })();
+    }
+
+    /**
+     * Import a complete range for a device (backfill from Traccar)
+     */
+    importRange(deviceId, from, to, positions) {
+        this.db.transaction(() => {
+            positions.forEach(position => this._insert(position));
+            this._insertCoverage.run(deviceId, from.getTime(), to.getTime());
+        })();
+    }
+
+    /**
+     * Whether the whole range is known to be stored for a device
+     */
+    isCovered(deviceId, from, to) {
+        const start = from.getTime();
+        const end = to.getTime();
+        const segments = this._selectCoverage.all(deviceId, start, end).map(row => ({
+            start: row.start_time,
+            end: row.end_time
+        }));
+
+        // Walk the segments in order and look for a hole
+        let coveredUntil = start;
+        for (const segment of segments) {
+            if (segment.start > coveredUntil) break;
+            coveredUntil = Math.max(coveredUntil, segment.end);
+            if (coveredUntil >= end) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stored positions of a device in a time range, oldest first
+     */
+    getRoute(deviceId, from, to) {
+        this.flush();
+        return this._selectRoute.all(deviceId, from.getTime(), to.getTime()).map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Delete positions and coverage older than the retention period
+     */
+    applyRetention() {
+        if (!this.retentionDays) return;
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const result = this.db.transaction(() => {
+            const deleted = this.db.prepare('DELETE FROM positions WHERE fix_time < ?').run(cutoff);
+            this.db.prepare('DELETE FROM coverage WHERE end_time < ?').run(cutoff);
+            this.db.prepare('UPDATE coverage SET start_time = ? WHERE start_time < ?').run(cutoff, cutoff);
+            return deleted;
+        })();
+
+        if (result.changes > 0) {
+            console.log(`🧹 Removed ${result.changes} stored positions older than ${this.retentionDays} days`);
+        }
+    }
+
+    /**
+     * Insert one Traccar position (duplicates are ignored by id)
+     */
+    _insert(position) {
+        const fixTime = new Date(position.fixTime || position.deviceTime).getTime();
+        if (!position.id || isNaN(fixTime)) return;
+        this._insertPosition.run(position.id, position.deviceId, fixTime, JSON.stringify(position));
+    }
+
+    /**
+     * Flush and close the database
+     */
+    close() {
+        clearInterval(this._flushInterval);
+        clearInterval(this._retentionInterval);
+        this.flush();
+        this.db.close();
+    }
+}
+
+module.exports = { PositionStore };
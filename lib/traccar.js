@@ -0,0 +1,91 @@
+/**
+ * Traccar client - Shared helpers for talking to the Traccar REST API
+ */
+const fetch = require('node-fetch');
+
+const TRACCAR_URL = process.env.TRACCAR_URL || 'https://traccar.apixgate.com';
+
+/**
+ * Authenticate a user with Traccar and return their session cookie and profile
+ */
+async function createTraccarSession(email, password) {
+    const response = await fetch(`${TRACCAR_URL}/api/session`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: `email=${encodeURIComponent(email)}&password=${encodeURIComponent(password)}`
+    });
+
+    if (response.status === 401) {
+        const error = new Error('Invalid email or password');
+        error.status = 401;
+        throw error;
+    }
+
+    if (!response.ok) {
+        throw new Error(`Authentication failed: ${response.status}`);
+    }
+
+    // Extract session cookie
+    const cookies = response.headers.raw()['set-cookie'];
+    if (!cookies) {
+        throw new Error('No session cookie received');
+    }
+
+    return {
+        cookie: cookies.map(cookie => cookie.split(';')[0]).join('; '),
+        user: await response.json()
+    };
+}
+
+/**
+ * GET a Traccar API endpoint with the given session cookie
+ */
+async function traccarGet(cookie, endpoint) {
+    const response = await fetch(`${TRACCAR_URL}${endpoint}`, {
+        headers: {
+            'Cookie': cookie,
+            'Accept': 'application/json'
+        }
+    });
+
+    if (!response.ok) {
+        const error = new Error(`Traccar ${endpoint} failed: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return await response.json();
+}
+
+/**
+ * POST a JSON body to a Traccar API endpoint, resolving to { status, data }
+ * Failures carry Traccar's plain-text explanation in the error message
+ */
+async function traccarPost(cookie, endpoint, body) {
+    const response = await fetch(`${TRACCAR_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Cookie': cookie,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        const error = new Error(text.substring(0, 200) || `Traccar ${endpoint} failed: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    return {
+        status: response.status,
+        data: contentType.includes('application/json') ? await response.json() : null
+    };
+}
+
+module.exports = { TRACCAR_URL, createTraccarSession, traccarGet, traccarPost };
@@ -0,0 +1,178 @@
+/**
+ * Trajectory module - Cleans GPS noise out of a route before measuring it
+ * (shared by the info card, the history stats, the trip list and the email summary;
+ * server.js serves this file to the browser as js/trajectory.js)
+ */
+const Trajectory = {
+    defaults: {
+        minSatellites: 4,      // Fixes with fewer satellites are dropped (when reported)
+        maxSpeed: 250,         // km/h - a jump faster than this is a bad fix
+        stopSpeed: 1,          // km/h - slower counts as stopped
+        minStopDuration: 60,   // seconds - shorter halts (traffic lights) are not counted as stops
+        jitterRadius: 0.03,    // km - drift while stopped within this radius is ignored
+        useOdometer: true      // Prefer the device odometer / Traccar totalDistance when both ends have it
+    },
+
+    /**
+     * Positions worth measuring: valid fixes without physically impossible jumps
+     */
+    clean(positions, options = {}) {
+        const opts = { ...this.defaults, ...options };
+        const cleaned = [];
+        let rejected = 0;
+
+        positions.forEach(position => {
+            if (!this._isValidFix(position, opts)) return;
+
+            const last = cleaned[cleaned.length - 1];
+            // After a few rejections in a row the kept point was the bad one: start again from here
+            if (last && rejected < 3 && this._isJump(last, position, opts)) {
+                rejected++;
+                return;
+            }
+
+            rejected = 0;
+            cleaned.push(position);
+        });
+
+        return cleaned;
+    },
+
+    /**
+     * Distance of a route in km
+     */
+    distance(positions, options = {}) {
+        const opts = { ...this.defaults, ...options };
+        return this._measure(this.clean(positions, opts), opts);
+    },
+
+    /**
+     * Distance, max/avg speed and stops of a route - the figures the history panel shows
+     */
+    stats(positions, options = {}) {
+        const opts = { ...this.defaults, ...options };
+        const cleaned = this.clean(positions, opts);
+
+        let maxSpeed = 0;
+        let speedSum = 0;
+        let speedCount = 0;
+        let stops = 0;
+        let stopStart = null;
+
+        // A stop counts once the vehicle has stayed slower than stopSpeed for minStopDuration
+        const endStop = (position) => {
+            if (stopStart && new Date(position.deviceTime) - new Date(stopStart.deviceTime) >= opts.minStopDuration * 1000) {
+                stops++;
+            }
+            stopStart = null;
+        };
+
+        cleaned.forEach((position, i) => {
+            const speed = position.speed * 1.852;
+
+            if (speed > maxSpeed) maxSpeed = speed;
+            if (speed >= opts.stopSpeed) {
+                speedSum += speed;
+                speedCount++;
+                endStop(position);
+            } else if (!stopStart && i > 0) {
+                stopStart = position;
+            }
+        });
+        if (cleaned.length > 0) endStop(cleaned[cleaned.length - 1]);
+
+        return {
+            distance: this._measure(cleaned, opts),
+            maxSpeed,
+            avgSpeed: speedCount > 0 ? speedSum / speedCount : 0,
+            points: positions.length,
+            stops
+        };
+    },
+
+    /**
+     * Great-circle distance in km
+     */
+    haversine(lat1, lon1, lat2, lon2) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    _isValidFix(position, opts) {
+        if (position.valid === false) return false;
+        if (!position.latitude && !position.longitude) return false;
+
+        const sat = position.attributes?.sat;
+        return typeof sat !== 'number' || sat >= opts.minSatellites;
+    },
+
+    /**
+     * Whether reaching a position from the previous one needs more than maxSpeed
+     */
+    _isJump(prev, position, opts) {
+        const distance = this.haversine(prev.latitude, prev.longitude, position.latitude, position.longitude);
+        const hours = (new Date(position.deviceTime) - new Date(prev.deviceTime)) / 3600000;
+
+        if (hours <= 0) return distance > opts.jitterRadius;
+        return distance / hours > opts.maxSpeed;
+    },
+
+    /**
+     * Distance in km of already cleaned positions
+     */
+    _measure(positions, opts) {
+        if (positions.length < 2) return 0;
+
+        if (opts.useOdometer) {
+            const odometer = this._odometerDistance(positions);
+            if (odometer !== null) return odometer;
+        }
+
+        return this._gpsDistance(positions, opts);
+    },
+
+    /**
+     * Sum of the legs, ignoring drift around a stopped vehicle
+     */
+    _gpsDistance(positions, opts) {
+        let distance = 0;
+        let anchor = positions[0];
+
+        for (let i = 1; i < positions.length; i++) {
+            const position = positions[i];
+            const leg = this.haversine(anchor.latitude, anchor.longitude, position.latitude, position.longitude);
+
+            if (position.speed * 1.852 < opts.stopSpeed && leg < opts.jitterRadius) continue;
+
+            distance += leg;
+            anchor = position;
+        }
+
+        return distance;
+    },
+
+    /**
+     * Odometer difference in km, or null when the route does not carry a usable one
+     */
+    _odometerDistance(positions) {
+        const first = positions[0].attributes || {};
+        const last = positions[positions.length - 1].attributes || {};
+
+        for (const key of ['odometer', 'totalDistance']) {
+            if (typeof first[key] === 'number' && typeof last[key] === 'number' && last[key] >= first[key]) {
+                return (last[key] - first[key]) / 1000;  // Traccar reports meters
+            }
+        }
+        return null;
+    }
+};
+
+// The server requires this file for the daily email summary
+if (typeof module !== 'undefined') {
+    module.exports = Trajectory;
+}
@@ -0,0 +1,489 @@
+/**
+ * Webhooks - Posts positions, Traccar events and rule alerts to external systems
+ *
+ * Subscriptions are kept in a JSON file like the alert rules. Each delivery is
+ * retried with exponential backoff; deliveries that still fail are written to a
+ * SQLite dead-letter log from where they can be sent again.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const Database = require('better-sqlite3');
+
+// Defaults of the retry policy
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+// A receiver has this long to answer
+const DELIVERY_TIMEOUT = 10000;
+
+// Deliveries waiting for a retry; beyond this they go straight to the dead-letter log
+const MAX_PENDING_DELIVERIES = 1000;
+
+// Traccar event ids remembered to drop duplicates from per-user feeds
+const MAX_SEEN_EVENTS = 1000;
+
+// Most dead letters returned by one query
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Rule alert type as it appears in subscriptions ('overspeed' -> 'ruleOverspeed')
+ */
+function alertType(type) {
+    return `rule${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+}
+
+/**
+ * Read a dotted path ('device.name') from an object
+ */
+function lookup(context, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), context);
+}
+
+/**
+ * Fill a JSON template: a string that is exactly "{{path}}" becomes the value
+ * itself (numbers stay numbers), placeholders inside longer strings become text
+ */
+function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+        const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+        if (whole) {
+            const value = lookup(context, whole[1]);
+            return value === undefined ? null : value;
+        }
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+            const value = lookup(context, key);
+            if (value == null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, context));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+    }
+    return template;
+}
+
+/**
+ * Signature sent in X-Webhook-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Validate a webhook sent by the browser and keep only known fields
+ */
+function validateWebhook(body) {
+    const { name, url, enabled, events, deviceIds, secret, template } = body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'Missing required parameter: name' };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return { error: 'url must be an absolute http(s) URL' };
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(type => typeof type !== 'string' || !type)) {
+        return { error: 'events must list event types (position, alarm, geofenceEnter, ruleOverspeed, * ...)' };
+    }
+    if (deviceIds !== undefined && (!Array.isArray(deviceIds) || deviceIds.some(id => !Number.isInteger(id)))) {
+        return { error: 'deviceIds must be an array of ids' };
+    }
+    if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+        return { error: 'secret must be a string' };
+    }
+    if (template !== undefined && template !== null && (typeof template !== 'object' || Array.isArray(template))) {
+        return { error: 'template must be a JSON object' };
+    }
+
+    return {
+        webhook: {
+            name: name.trim(),
+            url: parsed.toString(),
+            enabled: enabled !== false,
+            events: [...new Set(events)],
+            deviceIds: deviceIds || [],
+            secret: secret || null,
+            template: template || null
+        }
+    };
+}
+
+class WebhookDispatcher {
+    /**
+     * @param {object} options
+     * @param {string} options.file - JSON file the subscriptions are stored in
+     * @param {string} options.deadLetterFile - SQLite database of failed deliveries
+     * @param {number} [options.maxAttempts] - Attempts before a delivery is dead-lettered
+     * @param {number} [options.retryDelay] - First retry delay in ms, doubled after each failure
+     */
+    constructor({ file, deadLetterFile, maxAttempts = DEFAULT_MAX_ATTEMPTS, retryDelay = DEFAULT_RETRY_DELAY }) {
+        this.file = file;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+
+        this.webhooks = [];
+        this.nextId = 1;
+        this.devices = new Map();          // deviceId -> device
+        this.lastPositions = new Map();    // deviceId -> last dispatched position
+        this.seenEvents = new Set();
+        this.pending = new Set();          // retry timers
+        this.closed = false;
+
+        this._load();
+
+        fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+        this.db = new Database(deadLetterFile);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS dead_letters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                time INTEGER NOT NULL,
+                delivery_id TEXT NOT NULL,
+                webhook_id INTEGER NOT NULL,
+                event_type TEXT NOT NULL,
+                url TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                attempts INTEGER NOT NULL,
+                status INTEGER,
+                error TEXT
+            );
+            CREATE INDEX IF NOT EXISTS dead_letters_webhook_time ON dead_letters (webhook_id, time);
+        `);
+
+        this._insertDeadLetter = this.db.prepare(`
+            INSERT INTO dead_letters (time, delivery_id, webhook_id, event_type, url, payload, attempts, status, error)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+    }
+
+    /**
+     * Read subscriptions from disk
+     */
+    _load() {
+        if (!fs.existsSync(this.file)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.webhooks = data.webhooks || [];
+            this.nextId = data.nextId || this.webhooks.reduce((max, webhook) => Math.max(max, webhook.id + 1), 1);
+            console.log(`🪝 Loaded ${this.webhooks.length} webhooks`);
+        } catch (error) {
+            console.error('❌ Unable to read webhooks:', error.message);
+        }
+    }
+
+    /**
+     * Write subscriptions to disk (through a temp file so a crash never leaves half a file)
+     */
+    _save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({ nextId: this.nextId, webhooks: this.webhooks }, null, 2));
+        fs.renameSync(temp, this.file);
+    }
+
+    list() {
+        return this.webhooks;
+    }
+
+    get(id) {
+        return this.webhooks.find(webhook => webhook.id === id) || null;
+    }
+
+    /**
+     * Add a validated webhook
+     */
+    create(webhook, user) {
+        const created = {
+            id: this.nextId++,
+            ...webhook,
+            createdBy: user.email,
+            updatedAt: new Date().toISOString()
+        };
+        this.webhooks.push(created);
+        this._save();
+        return created;
+    }
+
+    /**
+     * Replace a webhook's settings (an omitted secret keeps the current one)
+     */
+    update(id, webhook, user, keepSecret = false) {
+        const index = this.webhooks.findIndex(w => w.id === id);
+        if (index < 0) return null;
+
+        const current = this.webhooks[index];
+        this.webhooks[index] = {
+            ...current,
+            ...webhook,
+            secret: keepSecret ? current.secret : webhook.secret,
+            updatedBy: user.email,
+            updatedAt: new Date().toISOString()
+        };
+        this._save();
+        return this.webhooks[index];
+    }
+
+    remove(id) {
+        const index = this.webhooks.findIndex(w => w.id === id);
+        if (index < 0) return false;
+
+        this.webhooks.splice(index, 1);
+        this._save();
+        return true;
+    }
+
+    /**
+     * Learn device names for payloads (snapshots and device updates)
+     */
+    updateDevices(devices) {
+        devices.forEach(device => this.devices.set(device.id, device));
+    }
+
+    /**
+     * Dispatch a message from a Traccar feed ({ devices, positions, events })
+     * Per-user feeds deliver the same data once per user, so repeats are dropped
+     */
+    handleMessage(data) {
+        if (data.devices) {
+            this.updateDevices(data.devices);
+        }
+
+        if (data.positions) {
+            data.positions.forEach(position => {
+                const last = this.lastPositions.get(position.deviceId);
+                if (last && (last.id === position.id || new Date(position.fixTime) < new Date(last.fixTime))) return;
+                this.lastPositions.set(position.deviceId, position);
+
+                this._dispatch('position', position.deviceId, { position });
+            });
+        }
+
+        if (data.events) {
+            data.events.forEach(event => {
+                if (this.seenEvents.has(event.id)) return;
+                this.seenEvents.add(event.id);
+                if (this.seenEvents.size > MAX_SEEN_EVENTS) {
+                    this.seenEvents.delete(this.seenEvents.values().next().value);
+                }
+
+                const position = this.lastPositions.get(event.deviceId);
+                this._dispatch(event.type, event.deviceId, {
+                    event,
+                    position: position && position.id === event.positionId ? position : null
+                });
+            });
+        }
+    }
+
+    /**
+     * Dispatch an alert raised by the rules engine
+     */
+    handleAlert(alert) {
+        this._dispatch(alertType(alert.type), alert.deviceId, {
+            alert,
+            position: this.lastPositions.get(alert.deviceId) || null
+        });
+    }
+
+    /**
+     * Queue a delivery to every webhook subscribed to this type and device
+     */
+    _dispatch(type, deviceId, data) {
+        if (this.closed) return;
+
+        this.webhooks
+            .filter(webhook => this._matches(webhook, type, deviceId))
+            .forEach(webhook => {
+                const body = JSON.stringify(this._payload(webhook, type, deviceId, data));
+                this._deliver(webhook, type, body, crypto.randomUUID(), 1);
+            });
+    }
+
+    /**
+     * Whether a webhook wants this type of message for this device
+     * '*' matches every event and alert - positions must be asked for explicitly
+     */
+    _matches(webhook, type, deviceId) {
+        if (!webhook.enabled) return false;
+        if (webhook.deviceIds.length > 0 && !webhook.deviceIds.includes(deviceId)) return false;
+        return webhook.events.includes(type) || (type !== 'position' && webhook.events.includes('*'));
+    }
+
+    /**
+     * Body of a delivery: the webhook's template filled in, or the whole context
+     */
+    _payload(webhook, type, deviceId, data) {
+        const device = this.devices.get(deviceId);
+        const context = {
+            type,
+            time: new Date().toISOString(),
+            device: device
+                ? { id: device.id, name: device.name, uniqueId: device.uniqueId, groupId: device.groupId, status: device.status }
+                : { id: deviceId },
+            position: null,
+            event: null,
+            alert: null,
+            ...data
+        };
+        return webhook.template ? renderTemplate(webhook.template, context) : context;
+    }
+
+    /**
+     * POST a body once, resolving to { ok, status, error, duration }
+     */
+    async _post(webhook, type, body, deliveryId) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'gps-realtime-webhooks',
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Event': type,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (webhook.secret) {
+            headers['X-Webhook-Signature'] = sign(webhook.secret, timestamp, body);
+        }
+
+        const started = Date.now();
+        try {
+            const response = await fetch(webhook.url, { method: 'POST', headers, body, timeout: DELIVERY_TIMEOUT });
+            return {
+                ok: response.ok,
+                status: response.status,
+                error: response.ok ? null : `HTTP ${response.status}`,
+                duration: Date.now() - started
+            };
+        } catch (error) {
+            return { ok: false, status: null, error: error.message, duration: Date.now() - started };
+        }
+    }
+
+    /**
+     * Deliver with retries, dead-lettering the body once attempts run out
+     */
+    async _deliver(webhook, type, body, deliveryId, attempt) {
+        const result = await this._post(webhook, type, body, deliveryId);
+        if (result.ok) return;
+
+        // Client errors will not fix themselves, except timeouts and rate limits
+        const retryable = result.status === null || result.status >= 500 || result.status === 408 || result.status === 429;
+
+        if (!retryable || attempt >= this.maxAttempts || this.closed || this.pending.size >= MAX_PENDING_DELIVERIES) {
+            this._deadLetter(webhook, type, body, deliveryId, attempt, result);
+            return;
+        }
+
+        const delay = Math.min(this.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+        const timer = setTimeout(() => {
+            this.pending.delete(timer);
+            // The webhook may have been edited or removed meanwhile
+            const current = this.get(webhook.id);
+            if (current) {
+                this._deliver(current, type, body, deliveryId, attempt + 1);
+            }
+        }, delay * (0.8 + Math.random() * 0.4));
+        this.pending.add(timer);
+    }
+
+    _deadLetter(webhook, type, body, deliveryId, attempts, result) {
+        console.error(`📭 Webhook "${webhook.name}" gave up on ${type} after ${attempts} attempt(s): ${result.error}`);
+        if (this.closed) return;
+
+        this._insertDeadLetter.run(
+            Date.now(), deliveryId, webhook.id, type, webhook.url, body, attempts, result.status, result.error
+        );
+    }
+
+    /**
+     * Send a sample delivery once and report how the receiver answered
+     */
+    async test(id) {
+        const webhook = this.get(id);
+        if (!webhook) return null;
+
+        const deviceId = webhook.deviceIds[0] || this.devices.keys().next().value || 0;
+        const position = this.lastPositions.get(deviceId) || null;
+        const payload = this._payload(webhook, 'test', deviceId, {
+            position,
+            event: { id: 0, type: 'test', deviceId, positionId: position ? position.id : 0, eventTime: new Date().toISOString(), attributes: {} }
+        });
+
+        const result = await this._post(webhook, 'test', JSON.stringify(payload), crypto.randomUUID());
+        return { ...result, payload };
+    }
+
+    /**
+     * Dead letters newest first
+     * @param {object} query
+     * @param {number} [query.webhookId]
+     * @param {number} [query.limit]
+     */
+    deadLetters({ webhookId, limit = 100 } = {}) {
+        const where = webhookId ? 'WHERE webhook_id = ?' : '';
+        const params = webhookId ? [webhookId] : [];
+        params.push(Math.min(limit, MAX_QUERY_LIMIT));
+
+        return this.db.prepare(`SELECT * FROM dead_letters ${where} ORDER BY time DESC, id DESC LIMIT ?`)
+            .all(...params)
+            .map(row => this._toDeadLetter(row));
+    }
+
+    /**
+     * Send a dead letter again to its webhook's current URL
+     * Returns false when it or its webhook no longer exists
+     */
+    redeliver(id) {
+        const row = this.db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+        const webhook = row && this.get(row.webhook_id);
+        if (!webhook) return false;
+
+        this.db.prepare('DELETE FROM dead_letters WHERE id = ?').run(id);
+        this._deliver(webhook, row.event_type, row.payload, row.delivery_id, 1);
+        return true;
+    }
+
+    /**
+     * Row -> API entry
+     */
+    _toDeadLetter(row) {
+        return {
+            id: row.id,
+            time: new Date(row.time).toISOString(),
+            deliveryId: row.delivery_id,
+            webhookId: row.webhook_id,
+            type: row.event_type,
+            url: row.url,
+            payload: JSON.parse(row.payload),
+            attempts: row.attempts,
+            status: row.status,
+            error: row.error
+        };
+    }
+
+    /**
+     * Drop pending retries and close the dead-letter log
+     */
+    close() {
+        this.closed = true;
+        this.pending.forEach(timer => clearTimeout(timer));
+        this.pending.clear();
+        this.db.close();
+    }
+}
+
+module.exports = { WebhookDispatcher, validateWebhook, renderTemplate };
@@ -2,13 +2,105 @@
  * API module - Handles REST API calls
  */
 const API = {
+    /**
+     * Fetch from the local API, redirecting to login when the session is gone
+     */
+    async _fetch(path, options = {}) {
+        const response = await fetch(`${CONFIG.API_BASE}${path}`, {
+            credentials: 'same-origin',
+            ...options
+        });
+
+        if (response.status === 401) {
+            this.redirectToLogin(true);
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+
+            // Keep the server's explanation (e.g. Traccar refusing an edit) for the UI
+            try {
+                error.detail = (await response.json()).error;
+            } catch (e) {
+                error.detail = null;
+            }
+            throw error;
+        }
+
+        return response;
+    },
+
+    /**
+     * Send a JSON body to the local API (204 responses resolve to null)
+     */
+    async _sendJson(method, path, body) {
+        const response = await this._fetch(path, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.status === 204 ? null : await response.json();
+    },
+
+    /**
+     * Go to the login page
+     */
+    redirectToLogin(expired = false) {
+        window.location.replace(expired ? '/login.html?expired=1' : '/login.html');
+    },
+
+    /**
+     * Log in with Traccar credentials
+     */
+    async login(email, password) {
+        const response = await fetch(`${CONFIG.API_BASE}/api/session`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.json();
+    },
+
+    /**
+     * Get the logged-in user, or null when there is no session
+     */
+    async getSession() {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE}/api/session`, { credentials: 'same-origin' });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Log out and return to the login page
+     */
+    async logout() {
+        try {
+            await fetch(`${CONFIG.API_BASE}/api/session`, { method: 'DELETE', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('Failed to log out:', error);
+        }
+        this.redirectToLogin();
+    },
+
     /**
      * Fetch devices list
      */
     async getDevices() {
         try {
-            const response = await fetch(`${CONFIG.API_BASE}/api/devices`);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const response = await this._fetch('/api/devices');
             return await response.json();
         } catch (error) {
             console.error('Failed to fetch devices:', error);
@@ -21,8 +113,7 @@ const API = {
      */
     async getPositions() {
         try {
-            const response = await fetch(`${CONFIG.API_BASE}/api/positions`);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const response = await this._fetch('/api/positions');
             return await response.json();
         } catch (error) {
             console.error('Failed to fetch positions:', error);
@@ -30,25 +121,257 @@ const API = {
         }
     },
 
+    /**
+     * Fetch device groups
+     */
+    async getGroups() {
+        try {
+            const response = await this._fetch('/api/groups');
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch groups:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fetch a single stored position by id (e.g. where an event happened)
+     */
+    async getPosition(positionId) {
+        try {
+            const response = await this._fetch(`/api/positions?${new URLSearchParams({ id: positionId })}`);
+            const positions = await response.json();
+            return positions[0] || null;
+        } catch (error) {
+            console.error('Failed to fetch position:', error);
+            throw error;
+        }
+    },
+
     /**
      * Fetch route history
+     * With onProgress(chunk, chunks) the server streams long ranges window by window
      */
-    async getRouteHistory(deviceId, from, to) {
+    async getRouteHistory(deviceId, from, to, onProgress = null) {
         try {
             const params = new URLSearchParams({
                 deviceId: deviceId,
                 from: from,
                 to: to
             });
-            const response = await fetch(`${CONFIG.API_BASE}/api/reports/route?${params}`);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            return await response.json();
+
+            if (!onProgress) {
+                const response = await this._fetch(`/api/reports/route?${params}`);
+                return await response.json();
+            }
+
+            const response = await this._fetch(`/api/reports/route?${params}`, {
+                headers: { 'Accept': 'application/x-ndjson' }
+            });
+            return await this._readRouteStream(response, onProgress);
         } catch (error) {
             console.error('Failed to fetch route history:', error);
             throw error;
         }
     },
 
+    /**
+     * Download link of a route as a gpx, kml, geojson or csv file (times in the browser's timezone)
+     */
+    getRouteExportUrl(deviceId, from, to, format) {
+        const params = new URLSearchParams({
+            deviceId,
+            from,
+            to,
+            format,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+        return `${CONFIG.API_BASE}/api/reports/route/export?${params}`;
+    },
+
+    /**
+     * Read an NDJSON route stream - one line per loaded window
+     */
+    async _readRouteStream(response, onProgress) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const positions = [];
+        let buffer = '';
+
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            const chunk = JSON.parse(line);
+            chunk.positions.forEach(p => positions.push(p));
+            onProgress(chunk.chunk, chunk.chunks);
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer);
+
+        return positions;
+    },
+
+    /**
+     * Fetch one of Traccar's reports
+     * `query` holds deviceIds and/or groupIds arrays, from, to and any report specific options
+     */
+    async _getReport(report, { deviceIds = [], groupIds = [], from, to, ...options }) {
+        const params = new URLSearchParams();
+        deviceIds.forEach(id => params.append('deviceId', id));
+        groupIds.forEach(id => params.append('groupId', id));
+        params.append('from', from);
+        params.append('to', to);
+        Object.entries(options).forEach(([key, value]) => {
+            [].concat(value).forEach(item => params.append(key, item));
+        });
+
+        try {
+            const response = await this._fetch(`/api/reports/${report}?${params}`);
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to fetch ${report} report:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fetch trips detected by Traccar
+     */
+    async getTrips(query) {
+        return this._getReport('trips', query);
+    },
+
+    /**
+     * Fetch stops detected by Traccar
+     */
+    async getStops(query) {
+        return this._getReport('stops', query);
+    },
+
+    /**
+     * Fetch distance/speed/engine summary (query.daily = true for one row per day)
+     */
+    async getSummary(query) {
+        return this._getReport('summary', query);
+    },
+
+    /**
+     * Fetch events (query.type = event type or list of types, all when omitted)
+     */
+    async getEvents(query) {
+        return this._getReport('events', query);
+    },
+
+    /**
+     * Fetch geofences (only those linked to a device when deviceId is given)
+     */
+    async getGeofences(deviceId = null) {
+        try {
+            const query = deviceId ? `?${new URLSearchParams({ deviceId })}` : '';
+            const response = await this._fetch(`/api/geofences${query}`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch geofences:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a geofence ({ name, description, area, attributes })
+     */
+    async createGeofence(geofence) {
+        return this._sendJson('POST', '/api/geofences', geofence);
+    },
+
+    /**
+     * Update a geofence
+     */
+    async updateGeofence(id, geofence) {
+        return this._sendJson('PUT', `/api/geofences/${id}`, geofence);
+    },
+
+    /**
+     * Delete a geofence
+     */
+    async deleteGeofence(id) {
+        await this._fetch(`/api/geofences/${id}`, { method: 'DELETE' });
+    },
+
+    /**
+     * Assign a geofence to a device
+     */
+    async linkGeofence(deviceId, geofenceId) {
+        return this._sendJson('POST', '/api/permissions', { deviceId, geofenceId });
+    },
+
+    /**
+     * Remove a geofence from a device
+     */
+    async unlinkGeofence(deviceId, geofenceId) {
+        return this._sendJson('DELETE', '/api/permissions', { deviceId, geofenceId });
+    },
+
+    /**
+     * Fetch the command types a device supports
+     */
+    async getCommandTypes(deviceId) {
+        try {
+            const response = await this._fetch(`/api/commands/types?${new URLSearchParams({ deviceId })}`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch command types:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Send a command to a device
+     * Dangerous commands fail with status 428 until they are resent with confirmed = true
+     */
+    async sendCommand(deviceId, type, attributes = {}, confirmed = false) {
+        return this._sendJson('POST', '/api/commands/send', { deviceId, type, attributes, confirmed });
+    },
+
+    /**
+     * Fetch the command audit log ({ deviceIds, from, to, limit }, all optional)
+     */
+    async getCommandLog({ deviceIds = [], from, to, limit } = {}) {
+        const params = new URLSearchParams();
+        deviceIds.forEach(id => params.append('deviceId', id));
+        if (from) params.append('from', from);
+        if (to) params.append('to', to);
+        if (limit) params.append('limit', limit);
+
+        try {
+            const response = await this._fetch(`/api/commands/log?${params}`);
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch command log:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fetch the alert rules
+     */
+    async getRules() {
+        try {
+            const response = await this._fetch('/api/rules');
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch rules:', error);
+            throw error;
+        }
+    },
+
     /**
      * Check API health
      */
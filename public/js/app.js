@@ -23,16 +23,30 @@ const App = {
         this.initialized = true;
 
         try {
+            // Show logged-in user
+            this._loadUser();
+
             // Initialize modules
             HistoryManager.init();
+            PlaybackManager.init();
+            ChartManager.init();
+            TripManager.init();
+            OverlayManager.init();
+            TrailManager.init();
+            CommandManager.init();
+            EventManager.init();
             this._initUIControls();
 
             // Load initial data
+            DeviceManager.init();
             await DeviceManager.loadDevices();
 
             // Fit map to show all devices
             setTimeout(() => MapManager.fitBounds(), 500);
 
+            // Geofences need the device list for assignment
+            GeofenceManager.init();
+
             // Connect WebSocket for real-time updates
             this._initWebSocket();
 
@@ -64,6 +78,12 @@ const App = {
             this.toggleLiveMode(!this.liveMode);
         });
 
+        // Logout button
+        document.getElementById('logoutBtn')?.addEventListener('click', () => {
+            WebSocketManager.disconnect();
+            API.logout();
+        });
+
         // Info card close button
         document.getElementById('infoCardClose')?.addEventListener('click', () => {
             MapManager.hideInfoCard();
@@ -110,6 +130,23 @@ const App = {
         this._initMobileBottomSheet();
     },
 
+    /**
+     * Show the logged-in user's name in the header
+     */
+    async _loadUser() {
+        const user = await API.getSession();
+        if (!user) {
+            API.redirectToLogin(true);
+            return;
+        }
+
+        const userEl = document.getElementById('headerUser');
+        if (userEl) {
+            userEl.textContent = user.name || user.email;
+            userEl.title = user.email;
+        }
+    },
+
     /**
      * Initialize mobile bottom sheet behavior
      */
@@ -207,6 +244,7 @@ const App = {
         // Position updates
         WebSocketManager.on('position', (position) => {
             DeviceManager.updatePosition(position);
+            TrailManager.addPosition(position);
 
             // Update follow path if following this device
             if (MapManager.followMode && position.deviceId == MapManager.followDeviceId) {
@@ -219,6 +257,26 @@ const App = {
             DeviceManager.updateDevice(device);
         });
 
+        // Events - alarms, geofences, ignition... and device replies to commands
+        WebSocketManager.on('event', (event) => {
+            EventManager.addEvent(event);
+            CommandManager.onEvent(event);
+        });
+
+        // Alerts from the server-side rules share the event feed
+        WebSocketManager.on('alert', (alert) => {
+            EventManager.addAlert(alert);
+        });
+
+        // Full state after every (re)connect - also recovers the follow path gap
+        WebSocketManager.on('snapshot', (snapshot) => {
+            DeviceManager.applySnapshot(snapshot.devices, snapshot.positions);
+
+            if (MapManager.followMode) {
+                MapManager.backfillFollowPath(snapshot.timestamp);
+            }
+        });
+
         // Connection status
         WebSocketManager.on('connect', () => {
             console.log('✅ Real-time updates active');
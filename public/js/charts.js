@@ -0,0 +1,485 @@
+/**
+ * Charts module - Speed/attribute chart of the loaded history route, synced with the map
+ */
+const ChartManager = {
+    positions: [],
+    times: [],            // deviceTime of each position in ms
+    stops: [],            // { time, duration } from HistoryManager
+    speedLimits: [],      // km/h lines drawn across the chart
+    attribute: '',        // Second series ('' = speed only)
+    collapsed: false,
+    hoverIndex: null,     // Position under the mouse
+    pinnedIndex: null,    // Position picked on the map (or by playback)
+    canvas: null,
+    _frame: null,
+
+    // Names of common Traccar attributes
+    attributeLabels: {
+        altitude: 'Độ cao (m)',
+        batteryLevel: 'Pin (%)',
+        battery: 'Điện áp pin (V)',
+        power: 'Điện áp nguồn (V)',
+        fuel: 'Nhiên liệu',
+        fuelConsumption: 'Tiêu hao nhiên liệu',
+        sat: 'Số vệ tinh',
+        rssi: 'Cường độ sóng',
+        hdop: 'HDOP',
+        temp1: 'Nhiệt độ',
+        rpm: 'Vòng tua máy',
+        throttle: 'Chân ga (%)'
+    },
+
+    // Counters that make no sense on a chart
+    ignoredAttributes: ['distance', 'totalDistance', 'hours', 'odometer', 'index', 'event', 'alarm'],
+
+    padding: { top: 12, right: 48, bottom: 22, left: 40 },
+
+    /**
+     * Bind the panel, the canvas and clicks on the route
+     */
+    init() {
+        this.canvas = document.getElementById('chartCanvas');
+        if (!this.canvas) return;
+
+        document.getElementById('chartToggle')?.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+        document.getElementById('chartAttribute')?.addEventListener('change', (e) => {
+            this.attribute = e.target.value;
+            this.render();
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            const index = this._indexAtX(e.offsetX);
+            if (index === this.hoverIndex) return;
+            this.hoverIndex = index;
+            MapManager.highlightRoutePoint(index !== null ? this.positions[index] : this._pinnedPosition());
+            this.render();
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverIndex = null;
+            MapManager.highlightRoutePoint(this._pinnedPosition());
+            this.render();
+        });
+
+        // Clicking the chart keeps that point highlighted on the map
+        this.canvas.addEventListener('click', (e) => {
+            this.pin(this._indexAtX(e.offsetX));
+        });
+
+        // Clicking a route segment marks its time on the chart
+        MapManager.map.on('click', MapManager.routeLayerId, (e) => {
+            const index = e.features[0]?.properties.index;
+            if (index === undefined || this.positions.length === 0) return;
+            if (this.collapsed) this.setCollapsed(false);
+            this.pin(index);
+        });
+        MapManager.map.on('mouseenter', MapManager.routeLayerId, () => {
+            if (this.positions.length) MapManager.map.getCanvas().style.cursor = 'pointer';
+        });
+        MapManager.map.on('mouseleave', MapManager.routeLayerId, () => {
+            MapManager.map.getCanvas().style.cursor = '';
+        });
+
+        new ResizeObserver(() => this.render()).observe(this.canvas);
+    },
+
+    /**
+     * Show the chart for a freshly drawn route
+     */
+    load(positions, stops) {
+        this.unload();
+        if (positions.length < 2) return;
+
+        this.positions = positions;
+        this.times = positions.map(p => new Date(p.deviceTime).getTime());
+        this.stops = stops;
+        this._fillAttributes();
+
+        document.getElementById('chartPanel')?.classList.add('active');
+        document.querySelector('.map-container')?.classList.add('chart-active');
+
+        this._loadSpeedLimits(positions[0].deviceId);
+        this.render();
+    },
+
+    /**
+     * Hide the chart (the route was cleared or replaced)
+     */
+    unload() {
+        this.positions = [];
+        this.times = [];
+        this.stops = [];
+        this.speedLimits = [];
+        this.hoverIndex = null;
+        this.pinnedIndex = null;
+
+        document.getElementById('chartPanel')?.classList.remove('active');
+        document.querySelector('.map-container')?.classList.remove('chart-active');
+        MapManager.highlightRoutePoint(null);
+    },
+
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        document.getElementById('chartPanel')?.classList.toggle('collapsed', collapsed);
+        document.querySelector('.map-container')?.classList.toggle('chart-collapsed', collapsed);
+        if (!collapsed) this.render();
+    },
+
+    /**
+     * Mark a position on the chart and the map
+     */
+    pin(index) {
+        this.pinnedIndex = index;
+        MapManager.highlightRoutePoint(this._pinnedPosition());
+        this.render();
+    },
+
+    /**
+     * Follow a time of the route (used by the playback)
+     */
+    setTime(time) {
+        if (this.positions.length === 0) return;
+        const index = this._nearestIndex(time);
+        if (index === this.pinnedIndex) return;
+        this.pinnedIndex = index;
+        this.render();
+    },
+
+    _pinnedPosition() {
+        return this.pinnedIndex !== null ? this.positions[this.pinnedIndex] : null;
+    },
+
+    /**
+     * Offer the numeric attributes found in the route
+     */
+    _fillAttributes() {
+        const select = document.getElementById('chartAttribute');
+        if (!select) return;
+
+        const keys = new Set();
+        if (this.positions.some(p => p.altitude)) keys.add('altitude');
+        this.positions.forEach(p => {
+            Object.entries(p.attributes || {}).forEach(([key, value]) => {
+                if (typeof value === 'number' && !this.ignoredAttributes.includes(key)) keys.add(key);
+            });
+        });
+
+        // Known attributes first, in the order of attributeLabels
+        const known = Object.keys(this.attributeLabels).filter(key => keys.has(key));
+        const others = [...keys].filter(key => !this.attributeLabels[key]).sort();
+
+        select.innerHTML = '<option value="">Chỉ tốc độ</option>' + [...known, ...others]
+            .map(key => `<option value="${this._escapeHtml(key)}">${this._escapeHtml(this.attributeLabels[key] || key)}</option>`)
+            .join('');
+
+        if (!keys.has(this.attribute)) this.attribute = '';
+        select.value = this.attribute;
+    },
+
+    /**
+     * Speed limits: the device's own (Traccar speedLimit, in knots) and the overspeed rules that apply to it
+     */
+    async _loadSpeedLimits(deviceId) {
+        const device = DeviceManager.devices[deviceId];
+        const limits = new Set();
+
+        if (device?.attributes?.speedLimit) {
+            limits.add(Math.round(device.attributes.speedLimit * 1.852));
+        }
+
+        try {
+            const rules = await API.getRules();
+            rules
+                .filter(rule => rule.enabled && rule.type === 'overspeed')
+                .filter(rule => (rule.deviceIds.length === 0 && rule.groupIds.length === 0) ||
+                    rule.deviceIds.includes(deviceId) ||
+                    (device && rule.groupIds.includes(device.groupId)))
+                .forEach(rule => limits.add(rule.params.speedLimit));
+        } catch (error) {
+            // The chart is still useful without rule limits
+        }
+
+        // The route may have changed while loading
+        if (this.positions.length && this.positions[0].deviceId === deviceId) {
+            this.speedLimits = [...limits].sort((a, b) => a - b);
+            this.render();
+        }
+    },
+
+    /**
+     * Redraw on the next frame (mouse moves can come faster than frames)
+     */
+    render() {
+        if (this._frame) return;
+        this._frame = requestAnimationFrame(() => {
+            this._frame = null;
+            this._draw();
+        });
+    },
+
+    _draw() {
+        const canvas = this.canvas;
+        if (!canvas || this.positions.length < 2 || this.collapsed) return;
+
+        // Match the canvas to its CSS size and the screen density
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (!width || !height) return;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const colors = this._colors();
+        const { top, right, bottom, left } = this.padding;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const start = this.times[0];
+        const end = this.times[this.times.length - 1];
+
+        const x = (time) => left + (end > start ? (time - start) / (end - start) : 0) * plotWidth;
+
+        // Speed axis leaves room for the highest limit
+        const speeds = this.positions.map(p => p.speed * 1.852);
+        const maxSpeed = Math.max(10, ...speeds, ...this.speedLimits) * 1.1;
+        const ySpeed = (speed) => top + plotHeight - speed / maxSpeed * plotHeight;
+
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+
+        // Horizontal grid with speed labels
+        ctx.fillStyle = colors.muted;
+        ctx.strokeStyle = colors.grid;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const speed = maxSpeed / 4 * i;
+            const y = ySpeed(speed);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(speed.toFixed(0), left - 6, y);
+        }
+
+        // Stops as shaded intervals
+        ctx.fillStyle = colors.stop;
+        this.stops.forEach(stop => {
+            const from = x(new Date(stop.time).getTime());
+            const to = x(new Date(stop.time).getTime() + stop.duration);
+            ctx.fillRect(from, top, Math.max(1, to - from), plotHeight);
+        });
+
+        // Speed limits as dashed lines
+        ctx.strokeStyle = colors.danger;
+        ctx.fillStyle = colors.danger;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.setLineDash([4, 4]);
+        this.speedLimits.forEach(limit => {
+            const y = ySpeed(limit);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(`${limit} km/h`, left + 4, y - 2);
+        });
+        ctx.setLineDash([]);
+
+        // Speed as a filled line
+        ctx.beginPath();
+        this.positions.forEach((p, i) => {
+            const px = x(this.times[i]);
+            const py = ySpeed(speeds[i]);
+            i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py);
+        });
+        ctx.strokeStyle = colors.primary;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.lineTo(x(end), top + plotHeight);
+        ctx.lineTo(x(start), top + plotHeight);
+        ctx.closePath();
+        ctx.fillStyle = colors.primaryFill;
+        ctx.fill();
+
+        // Selected attribute on its own right-hand axis
+        const values = this.attribute ? this.positions.map(p => this._attributeValue(p)) : null;
+        let yValue = null;
+        if (values && values.some(v => v !== null)) {
+            const known = values.filter(v => v !== null);
+            let min = Math.min(...known);
+            let max = Math.max(...known);
+            if (min === max) {
+                min -= 1;
+                max += 1;
+            }
+            yValue = (value) => top + plotHeight - (value - min) / (max - min) * plotHeight;
+
+            ctx.beginPath();
+            let drawing = false;
+            values.forEach((value, i) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                const px = x(this.times[i]);
+                const py = yValue(value);
+                drawing ? ctx.lineTo(px, py) : ctx.moveTo(px, py);
+                drawing = true;
+            });
+            ctx.strokeStyle = colors.warning;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+
+            ctx.fillStyle = colors.warning;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            [min, (min + max) / 2, max].forEach(value => {
+                ctx.fillText(this._formatValue(value), left + plotWidth + 6, yValue(value));
+            });
+        }
+
+        // Time axis
+        ctx.fillStyle = colors.muted;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const multiDay = new Date(start).toDateString() !== new Date(end).toDateString();
+        const ticks = Math.max(2, Math.min(6, Math.floor(plotWidth / 110)));
+        for (let i = 0; i <= ticks; i++) {
+            const time = start + (end - start) / ticks * i;
+            ctx.fillText(this._formatTime(time, multiDay), x(time), top + plotHeight + 6);
+        }
+
+        // Point picked on the map, then the one under the mouse
+        if (this.pinnedIndex !== null) {
+            this._drawCursor(ctx, x(this.times[this.pinnedIndex]), top, plotHeight, colors.danger);
+        }
+        if (this.hoverIndex !== null) {
+            const i = this.hoverIndex;
+            const px = x(this.times[i]);
+            this._drawCursor(ctx, px, top, plotHeight, colors.text);
+            this._drawDot(ctx, px, ySpeed(speeds[i]), colors.primary);
+            if (yValue && values[i] !== null) this._drawDot(ctx, px, yValue(values[i]), colors.warning);
+            this._drawTooltip(ctx, px, top, width, i, speeds[i], values ? values[i] : null, colors);
+        }
+    },
+
+    _drawCursor(ctx, x, top, height, color) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, top + height);
+        ctx.stroke();
+    },
+
+    _drawDot(ctx, x, y, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+    },
+
+    _drawTooltip(ctx, x, top, width, index, speed, value, colors) {
+        const lines = [
+            this._formatTime(this.times[index], true),
+            `${speed.toFixed(0)} km/h`
+        ];
+        if (this.attribute && value !== null) {
+            lines.push(`${this.attributeLabels[this.attribute] || this.attribute}: ${this._formatValue(value)}`);
+        }
+
+        ctx.font = '11px sans-serif';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * 14 + 8;
+        const boxX = x + boxWidth + 12 > width ? x - boxWidth - 8 : x + 8;
+
+        ctx.fillStyle = colors.tooltip;
+        ctx.fillRect(boxX, top, boxWidth, boxHeight);
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 6, top + 4 + i * 14));
+    },
+
+    /**
+     * Position under an x coordinate of the canvas
+     */
+    _indexAtX(offsetX) {
+        const { left, right } = this.padding;
+        const plotWidth = this.canvas.clientWidth - left - right;
+        if (this.positions.length < 2 || offsetX < left || offsetX > left + plotWidth) return null;
+
+        const start = this.times[0];
+        const end = this.times[this.times.length - 1];
+        return this._nearestIndex(start + (offsetX - left) / plotWidth * (end - start));
+    },
+
+    /**
+     * Position closest in time (binary search)
+     */
+    _nearestIndex(time) {
+        let low = 0;
+        let high = this.times.length - 1;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (this.times[mid] <= time) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return Math.abs(this.times[high] - time) < Math.abs(time - this.times[low]) ? high : low;
+    },
+
+    _attributeValue(position) {
+        const value = this.attribute === 'altitude' ? position.altitude : position.attributes?.[this.attribute];
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    },
+
+    /**
+     * Theme colors from the CSS variables
+     */
+    _colors() {
+        const css = getComputedStyle(document.documentElement);
+        const get = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+        return {
+            primary: get('--accent-primary', '#00d4ff'),
+            primaryFill: 'rgba(0, 212, 255, 0.12)',
+            warning: get('--accent-warning', '#ffaa00'),
+            danger: get('--accent-danger', '#ff4466'),
+            text: get('--text-primary', '#ffffff'),
+            muted: get('--text-muted', 'rgba(255, 255, 255, 0.4)'),
+            grid: 'rgba(255, 255, 255, 0.06)',
+            stop: 'rgba(255, 170, 0, 0.15)',
+            tooltip: 'rgba(10, 10, 26, 0.9)'
+        };
+    },
+
+    _formatValue(value) {
+        return Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(1);
+    },
+
+    /**
+     * Format a time as HH:mm (with DD/MM when the route spans several days)
+     */
+    _formatTime(time, withDate) {
+        const date = new Date(time);
+        const pad = (n) => n.toString().padStart(2, '0');
+        const clock = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        return withDate ? `${clock} ${pad(date.getDate())}/${pad(date.getMonth() + 1)}` : clock;
+    },
+
+    /**
+     * Escape HTML (quotes too, for attribute values)
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+};
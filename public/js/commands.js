@@ -0,0 +1,206 @@
+/**
+ * Commands module - Sends Traccar commands from the device info card
+ */
+const CommandManager = {
+    deviceId: null,   // Device the command section belongs to
+    sending: false,
+
+    // Vietnamese names of common Traccar command types (others show their raw type)
+    labels: {
+        positionSingle: 'Lấy vị trí hiện tại',
+        positionPeriodic: 'Gửi vị trí định kỳ',
+        positionStop: 'Dừng gửi vị trí',
+        engineStop: 'Tắt máy',
+        engineResume: 'Mở máy',
+        alarmArm: 'Bật báo động',
+        alarmDisarm: 'Tắt báo động',
+        rebootDevice: 'Khởi động lại thiết bị',
+        powerOff: 'Tắt nguồn thiết bị',
+        factoryReset: 'Khôi phục cài đặt gốc',
+        requestPhoto: 'Chụp ảnh',
+        getVersion: 'Phiên bản firmware',
+        custom: 'Lệnh tuỳ chỉnh'
+    },
+
+    // Commands that need a value typed by the user: type -> { attribute, placeholder }
+    inputs: {
+        custom: { attribute: 'data', placeholder: 'Nội dung lệnh' },
+        positionPeriodic: { attribute: 'frequency', placeholder: 'Chu kỳ (giây)' }
+    },
+
+    /**
+     * Bind the command controls of the info card
+     */
+    init() {
+        document.getElementById('commandType')?.addEventListener('change', () => this._updateInput());
+        document.getElementById('commandSendBtn')?.addEventListener('click', () => this.send());
+    },
+
+    /**
+     * Load the commands of the device shown in the info card
+     */
+    async load(deviceId) {
+        this.deviceId = deviceId;
+        this._setResult('');
+
+        const select = document.getElementById('commandType');
+        const btn = document.getElementById('commandSendBtn');
+        if (!select || !btn) return;
+
+        select.innerHTML = '<option>Đang tải...</option>';
+        select.disabled = true;
+        btn.disabled = true;
+
+        this._loadLog(deviceId);
+
+        try {
+            const types = await API.getCommandTypes(deviceId);
+            if (this.deviceId !== deviceId) return;
+
+            if (types.length === 0) {
+                select.innerHTML = '<option>Thiết bị không hỗ trợ lệnh</option>';
+                return;
+            }
+
+            select.innerHTML = types.map(({ type }) =>
+                `<option value="${this._escapeHtml(type)}">${this._escapeHtml(this._label(type))}</option>`
+            ).join('');
+            select.disabled = false;
+            btn.disabled = false;
+        } catch (error) {
+            if (this.deviceId !== deviceId) return;
+            select.innerHTML = '<option>Không tải được danh sách lệnh</option>';
+        } finally {
+            this._updateInput();
+        }
+    },
+
+    /**
+     * Send the selected command, asking first when the server wants a confirmation
+     */
+    async send() {
+        const type = document.getElementById('commandType')?.value;
+        const deviceId = this.deviceId;
+        if (!type || !deviceId || this.sending) return;
+
+        const attributes = {};
+        const input = this.inputs[type];
+        if (input) {
+            const value = document.getElementById('commandData').value.trim();
+            if (!value) {
+                this._setResult('Vui lòng nhập giá trị cho lệnh', 'error');
+                return;
+            }
+            attributes[input.attribute] = input.attribute === 'frequency' ? parseInt(value) : value;
+        }
+
+        const btn = document.getElementById('commandSendBtn');
+        this.sending = true;
+        btn.disabled = true;
+        this._setResult('Đang gửi...');
+
+        try {
+            let response;
+            try {
+                response = await API.sendCommand(deviceId, type, attributes);
+            } catch (error) {
+                if (error.status !== 428) throw error;
+
+                const device = DeviceManager.devices[deviceId];
+                if (!confirm(`Gửi lệnh "${this._label(type)}" tới xe ${device ? device.name : deviceId}?\nLệnh này có thể ảnh hưởng tới xe đang chạy.`)) {
+                    this._setResult('Đã huỷ gửi lệnh');
+                    return;
+                }
+                response = await API.sendCommand(deviceId, type, attributes, true);
+            }
+
+            if (response.result === 'queued') {
+                this._setResult('⏳ Xe đang offline, lệnh sẽ được gửi khi xe kết nối lại', 'queued');
+            } else {
+                this._setResult('✅ Đã gửi lệnh, đang chờ phản hồi...', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to send command:', error);
+            this._setResult(`❌ ${error.detail || 'Không gửi được lệnh'}`, 'error');
+        } finally {
+            this.sending = false;
+            btn.disabled = false;
+            if (this.deviceId === deviceId) this._loadLog(deviceId);
+        }
+    },
+
+    /**
+     * Show a device's reply to a command (Traccar 'commandResult' event)
+     */
+    onEvent(event) {
+        if (event.type !== 'commandResult' || event.deviceId !== this.deviceId) return;
+        const result = event.attributes?.result;
+        this._setResult(`📩 Phản hồi: ${result || 'đã nhận'}`, 'success');
+    },
+
+    /**
+     * Last commands sent to the device, from the audit log
+     */
+    async _loadLog(deviceId) {
+        const container = document.getElementById('commandLog');
+        if (!container) return;
+
+        try {
+            const entries = await API.getCommandLog({ deviceIds: [deviceId], limit: 5 });
+            if (this.deviceId !== deviceId) return;
+
+            const icons = { sent: '✅', queued: '⏳', failed: '❌' };
+            container.innerHTML = entries.map(entry => `
+                <div class="command-log-item" title="${this._escapeHtml(entry.error || '')}">
+                    <span>${icons[entry.result] || ''} ${this._escapeHtml(this._label(entry.type))}</span>
+                    <span class="command-log-meta">${this._escapeHtml(entry.userEmail)} · ${this._formatTime(entry.time)}</span>
+                </div>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = '';
+        }
+    },
+
+    /**
+     * Show the value input for commands that need one
+     */
+    _updateInput() {
+        const type = document.getElementById('commandType')?.value;
+        const input = document.getElementById('commandData');
+        if (!input) return;
+
+        const config = this.inputs[type];
+        input.style.display = config ? 'block' : 'none';
+        input.placeholder = config ? config.placeholder : '';
+        input.value = '';
+    },
+
+    _setResult(text, kind = '') {
+        const el = document.getElementById('commandResult');
+        if (!el) return;
+        el.textContent = text;
+        el.className = `command-result ${kind}`;
+    },
+
+    /**
+     * Format an ISO time as HH:mm DD/MM
+     */
+    _formatTime(iso) {
+        const date = new Date(iso);
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())} ${pad(date.getDate())}/${pad(date.getMonth() + 1)}`;
+    },
+
+    _label(type) {
+        return this.labels[type] || type;
+    },
+
+    /**
+     * Escape HTML (quotes too, for attribute values)
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+};
@@ -11,7 +11,64 @@ const CONFIG = {
     MAP_ZOOM: 5,
 
     // Update intervals
-    RECONNECT_INTERVAL: 5000,
+    RECONNECT_INTERVAL: 5000,      // Base delay, doubled per failed attempt
+    RECONNECT_MAX_DELAY: 30000,
+
+    // Stale devices - online in Traccar but without a usable recent fix
+    DEVICE_STALE_MINUTES: 30,          // Minutes since the last fix (position.fixTime)
+    DEVICE_STALE_INVALID_FIX: true,    // An invalid last fix (position.valid = false) also counts
+
+    // Device list sorted by today's km - routes of this many devices are loaded at a time
+    TODAY_KM_BATCH: 5,
+
+    // Marker and list icon per Traccar device category (anything else uses default)
+    DEVICE_ICONS: {
+        default: '🚗',
+        car: '🚗',
+        pickup: '🛻',
+        offroad: '🚙',
+        van: '🚐',
+        camper: '🚐',
+        truck: '🚚',
+        bus: '🚌',
+        trolleybus: '🚎',
+        tram: '🚋',
+        train: '🚆',
+        motorcycle: '🏍️',
+        scooter: '🛵',
+        bicycle: '🚲',
+        tractor: '🚜',
+        crane: '🏗️',
+        boat: '🚤',
+        ship: '🚢',
+        plane: '✈️',
+        helicopter: '🚁',
+        person: '🚶',
+        animal: '🐾'
+    },
+
+    // Live trails - last minutes of movement of every device in LIVE mode
+    TRAIL_MINUTES: [5, 10, 15, 30, 60],    // Lengths offered in the header
+    TRAIL_DEFAULT_MINUTES: 0,              // 0 = off until chosen
+    TRAIL_MAX_POINTS: 360,                 // Positions kept per device
+
+    // Trip segmentation of history routes (motion is used when the device reports no ignition;
+    // the minimums also filter Traccar's trip and stop reports)
+    TRIP_STOP_SPEED: 1,            // km/h - slower counts as stopped
+    TRIP_MIN_STOP_DURATION: 60,    // seconds stopped (or ignition off) that end a trip
+    TRIP_MIN_DISTANCE: 0.1,        // km - shorter trips are GPS noise or idling
+
+    // Planned route comparison - farther than this (m) counts as off the plan
+    OVERLAY_TOLERANCE: 100,
+
+    // Route playback rates offered in the playback bar
+    PLAYBACK_SPEEDS: [1, 2, 4, 8, 16, 32, 64],
+
+    // Event feed
+    LANGUAGE: 'vi',                // Event labels: 'vi' or 'en'
+    EVENT_FEED_MAX: 200,           // Events kept in the feed
+    EVENT_TOAST_DURATION: 6000,
+    EVENT_TOAST_TYPES: ['alarm', 'geofenceEnter', 'geofenceExit', 'deviceOverspeed', 'ruleOverspeed', 'ruleIdle', 'ruleOffline', 'ruleSchedule'],
 
     // Mapbox style - streets with nice colors
     MAP_STYLE: 'mapbox://styles/mapbox/streets-v12'
@@ -5,18 +5,79 @@ const DeviceManager = {
     devices: {},      // deviceId -> device data
     positions: {},    // deviceId -> position data
     activeDeviceId: null,
+    groups: {},       // groupId -> Traccar group
+    filters: new Set(),   // Filter chips turned on (a device needs to match one of them)
+    sortBy: 'name',       // name, speed, lastUpdate or todayKm
+    collapsedGroups: new Set(),
+    todayKm: {},          // deviceId -> km driven today (loaded for the km sort)
+    _stale: new Set(),    // Devices last seen stale, to notice when one changes
+    _todayKmLoaded: 0,
+    entries: [],      // Rows of the list in order: group headers and devices
+    rows: {},         // Entry key -> row element currently in the DOM
+    rowHeight: 0,     // Height of a device row including its margin (measured)
+    groupRowHeight: 0,
+    _inner: null,     // Element sized to the whole list; rows are positioned inside it
+    _dirty: new Set(),  // Device rows to refresh on the next frame
+    _resort: false,     // Filter and sort again on the next frame
+    _frame: null,
+
+    /**
+     * Bind the device list (one delegated handler for every row)
+     */
+    init() {
+        const container = document.getElementById('deviceList');
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const group = e.target.closest('.device-group');
+            if (group) {
+                this.toggleGroup(parseInt(group.dataset.id));
+                return;
+            }
+            const item = e.target.closest('.device-item');
+            if (item) this.selectDevice(parseInt(item.dataset.id));
+        });
+
+        document.getElementById('deviceFilters')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter]');
+            if (!chip) return;
+            const filter = chip.dataset.filter;
+            this.filters.has(filter) ? this.filters.delete(filter) : this.filters.add(filter);
+            chip.classList.toggle('active', this.filters.has(filter));
+            this.renderDeviceList();
+        });
+
+        document.getElementById('deviceSort')?.addEventListener('change', (e) => {
+            this.sortBy = e.target.value;
+            this.renderDeviceList();
+        });
+
+        // Only the rows in view exist, so scrolling brings in the next ones
+        container.addEventListener('scroll', () => this._schedule(), { passive: true });
+        // "Last seen" ages tick and devices turn stale without any message arriving
+        setInterval(() => this._tick(), 15000);
+
+        // The mobile sheet expanding or the layout switching changes what fits and the row size
+        new ResizeObserver(() => {
+            this.rowHeight = 0;
+            this._schedule();
+        }).observe(container);
+    },
 
     /**
      * Load and display all devices
      */
     async loadDevices() {
         try {
-            const [devices, positions] = await Promise.all([
+            const [devices, positions, groups] = await Promise.all([
                 API.getDevices(),
-                API.getPositions()
+                API.getPositions(),
+                // Without groups the list is simply flat
+                API.getGroups().catch(() => [])
             ]);
 
             // Store data
+            groups.forEach(g => this.groups[g.id] = g);
             devices.forEach(d => this.devices[d.id] = d);
             positions.forEach(p => this.positions[p.deviceId] = p);
 
@@ -39,81 +100,481 @@ const DeviceManager = {
     },
 
     /**
-     * Render device list in sidebar
+     * Replace all devices and positions with a WebSocket snapshot
+     */
+    applySnapshot(devices, positions) {
+        this.devices = {};
+        devices.forEach(d => this.devices[d.id] = d);
+        positions.forEach(p => this.positions[p.deviceId] = p);
+
+        // Drop positions of devices the user can no longer see
+        Object.keys(this.positions).forEach(deviceId => {
+            if (!this.devices[deviceId]) {
+                delete this.positions[deviceId];
+                MapManager.removeMarker(deviceId);
+            }
+        });
+
+        this.renderDeviceList();
+        this.updateAllMarkers(false);
+        this.updateDeviceCount();
+
+        if (MapManager.selectedDeviceId) {
+            MapManager.updateInfoCard();
+        }
+        this._updateLastUpdateTime();
+    },
+
+    /**
+     * Filter and sort the device list again (search, filters, sort or statuses changed)
      */
     renderDeviceList() {
+        this._resort = true;
+        this._schedule();
+    },
+
+    /**
+     * Refresh a single device row in place
+     */
+    _refreshRow(deviceId) {
+        this._dirty.add(parseInt(deviceId));
+        this._schedule();
+    },
+
+    /**
+     * Collapse or expand a group of the tree
+     */
+    toggleGroup(groupId) {
+        if (this.collapsedGroups.has(groupId)) {
+            this.collapsedGroups.delete(groupId);
+        } else {
+            this.collapsedGroups.add(groupId);
+        }
+        this.renderDeviceList();
+    },
+
+    /**
+     * Render at most once per animation frame, however many updates arrived
+     */
+    _schedule() {
+        if (this._frame) return;
+        this._frame = requestAnimationFrame(() => {
+            this._frame = null;
+            this._render();
+        });
+    },
+
+    _render() {
         const container = document.getElementById('deviceList');
         if (!container) return;
 
-        const searchTerm = document.getElementById('searchInput')?.value.toLowerCase() || '';
+        // The placeholder or an error message replaced the list
+        if (!this._inner || !this._inner.isConnected) {
+            container.innerHTML = '';
+            this._inner = document.createElement('div');
+            this._inner.className = 'device-list-inner';
+            container.appendChild(this._inner);
+            this.rows = {};
+            this._resort = true;
+        }
 
-        // Filter devices
-        let filteredDevices = Object.values(this.devices);
-        if (searchTerm) {
-            filteredDevices = filteredDevices.filter(d =>
-                d.name.toLowerCase().includes(searchTerm)
-            );
+        // After a new sort every row may have moved and group counts changed
+        const refreshAll = this._resort;
+        if (this._resort) {
+            this._resort = false;
+            this._buildEntries();
         }
 
-        // Sort: online first, then by name
-        filteredDevices.sort((a, b) => {
-            if (a.status === 'online' && b.status !== 'online') return -1;
-            if (a.status !== 'online' && b.status === 'online') return 1;
-            return a.name.localeCompare(b.name);
+        const empty = container.querySelector('.loading-placeholder');
+        if (this.entries.length === 0) {
+            Object.values(this.rows).forEach(row => row.remove());
+            this.rows = {};
+            this._inner.style.height = '0';
+            if (!empty) {
+                container.insertAdjacentHTML('beforeend', `
+                    <div class="loading-placeholder">
+                        <span>Không tìm thấy xe nào</span>
+                    </div>
+                `);
+            }
+            this._dirty.clear();
+            return;
+        }
+        if (empty) empty.remove();
+
+        if (!this.rowHeight) this._measureRows();
+
+        // Top of every row (group headers are shorter than devices)
+        const offsets = [0];
+        this.entries.forEach(entry => {
+            offsets.push(offsets[offsets.length - 1] + (entry.type === 'group' ? this.groupRowHeight : this.rowHeight));
         });
+        this._inner.style.height = `${offsets[offsets.length - 1]}px`;
+
+        // Rows in view plus a few on each side
+        const overscan = 5;
+        const first = Math.max(0, this._entryAt(offsets, container.scrollTop) - overscan);
+        const last = Math.min(this.entries.length, this._entryAt(offsets, container.scrollTop + container.clientHeight) + 1 + overscan);
+
+        const visible = new Set();
+        for (let i = first; i < last; i++) {
+            const entry = this.entries[i];
+            visible.add(entry.key);
+
+            let row = this.rows[entry.key];
+            if (!row) {
+                row = this._createRow(entry);
+                this.rows[entry.key] = row;
+                this._inner.appendChild(row);
+            } else if (refreshAll || (entry.type === 'device' && this._dirty.has(entry.id))) {
+                this._fillRow(row, entry);
+            }
+            row.style.top = `${offsets[i]}px`;
+        }
 
-        // Generate HTML
-        if (filteredDevices.length === 0) {
-            container.innerHTML = `
-                <div class="loading-placeholder">
-                    <span>Không tìm thấy xe nào</span>
-                </div>
-            `;
+        Object.keys(this.rows).forEach(key => {
+            if (!visible.has(key)) {
+                this.rows[key].remove();
+                delete this.rows[key];
+            }
+        });
+        this._dirty.clear();
+    },
+
+    /**
+     * Index of the row at a vertical offset
+     */
+    _entryAt(offsets, y) {
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= y) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    },
+
+    /**
+     * Filtered, sorted devices - under their groups when the user has groups
+     */
+    _buildEntries() {
+        const devices = this._sortDevices(Object.values(this.devices).filter(d => this._matches(d)));
+
+        // The map shows what the list shows
+        const filtering = this.filters.size > 0 || this._searchTerm() !== '';
+        MapManager.setDeviceFilter(filtering ? devices.map(d => d.id) : null);
+
+        if (this.sortBy === 'todayKm') this._loadTodayKm();
+
+        const deviceEntry = (device, depth) => ({ key: `d${device.id}`, type: 'device', id: device.id, depth });
+        if (Object.keys(this.groups).length === 0) {
+            this.entries = devices.map(d => deviceEntry(d, 0));
             return;
         }
 
-        container.innerHTML = filteredDevices.map(device => {
-            const position = this.positions[device.id];
-            const speed = position ? (position.speed * 1.852).toFixed(1) : '0';
-            const isActive = device.id === this.activeDeviceId && !MapManager.liveMode;
-            const statusClass = device.status === 'online' ? 'online' : 'offline';
-            const statusText = device.status === 'online' ? 'Online' : 'Offline';
-
-            return `
-                <div class="device-item ${isActive ? 'active' : ''}" data-id="${device.id}">
-                    <div class="device-header">
-                        <span class="device-name">
-                            <span>🚗</span>
-                            ${this._escapeHtml(device.name)}
-                        </span>
-                        <span class="device-status ${statusClass}">${statusText}</span>
+        // Children of each group (0 = root); a parent the user cannot see counts as the root
+        const children = {};
+        const node = (groupId) => children[groupId] || (children[groupId] = { groups: [], devices: [] });
+        const parentOf = (item) => this.groups[item.groupId] ? item.groupId : 0;
+        Object.values(this.groups)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(g => node(parentOf(g)).groups.push(g));
+        devices.forEach(d => node(parentOf(d)).devices.push(d));
+
+        // Groups first, then their loose devices; groups without a matching device are left out
+        const build = (groupId, depth) => {
+            const { groups, devices: members } = node(groupId);
+            const entries = [];
+            let total = 0;
+            let online = 0;
+
+            groups.forEach(group => {
+                const sub = build(group.id, depth + 1);
+                if (sub.total === 0) return;
+
+                total += sub.total;
+                online += sub.online;
+                const collapsed = this.collapsedGroups.has(group.id);
+                entries.push({ key: `g${group.id}`, type: 'group', id: group.id, depth, total: sub.total, online: sub.online, collapsed });
+                if (!collapsed) entries.push(...sub.entries);
+            });
+
+            members.forEach(device => {
+                total++;
+                if (this._isLive(device)) online++;
+                entries.push(deviceEntry(device, depth));
+            });
+
+            return { entries, total, online };
+        };
+
+        this.entries = build(0, 0).entries;
+    },
+
+    _searchTerm() {
+        return document.getElementById('searchInput')?.value.trim().toLowerCase() || '';
+    },
+
+    /**
+     * Whether a device passes the filter chips and the search
+     */
+    _matches(device) {
+        if (this.filters.size > 0 && ![...this.filters].some(filter => this._hasState(device, filter))) {
+            return false;
+        }
+
+        const term = this._searchTerm();
+        if (!term) return true;
+
+        const attributes = device.attributes || {};
+        return [device.name, device.uniqueId, device.phone, device.contact, attributes.plate, attributes.licensePlate]
+            .some(value => value && String(value).toLowerCase().includes(term));
+    },
+
+    /**
+     * Whether a device is in the state of a filter chip
+     */
+    _hasState(device, filter) {
+        const state = this.deviceState(device);
+        return filter === 'online' ? this._isLive(device) : state === filter;
+    },
+
+    /**
+     * State of a device: moving, stopped, stale or offline
+     *
+     * Traccar keeps a device online as long as it is connected, even when its fixes
+     * stopped coming (or are invalid). Such a device is stale: its last position is old.
+     */
+    deviceState(device, position = this.positions[device.id]) {
+        if (!device || device.status !== 'online') return 'offline';
+        if (this._isStale(position)) return 'stale';
+        return position.speed > 1 ? 'moving' : 'stopped';
+    },
+
+    // Online and reporting fresh fixes
+    _isLive(device) {
+        const state = this.deviceState(device);
+        return state === 'moving' || state === 'stopped';
+    },
+
+    /**
+     * No fix for DEVICE_STALE_MINUTES, or an invalid last fix when DEVICE_STALE_INVALID_FIX is set
+     */
+    _isStale(position) {
+        if (!position) return true;
+        if (CONFIG.DEVICE_STALE_INVALID_FIX && position.valid === false) return true;
+        return this._age(position) > CONFIG.DEVICE_STALE_MINUTES * 60000;
+    },
+
+    _age(position) {
+        return Date.now() - new Date(position.fixTime).getTime();
+    },
+
+    /**
+     * "Last seen" of a device as "12 phút trước"
+     */
+    formatLastSeen(deviceId) {
+        const position = this.positions[deviceId];
+        const time = position ? position.fixTime : this.devices[deviceId]?.lastUpdate;
+        if (!time) return 'N/A';
+
+        const minutes = Math.floor((Date.now() - new Date(time).getTime()) / 60000);
+        if (minutes < 1) return 'Vừa xong';
+        if (minutes < 60) return `${minutes} phút trước`;
+        if (minutes < 1440) return `${Math.floor(minutes / 60)} giờ trước`;
+        return `${Math.floor(minutes / 1440)} ngày trước`;
+    },
+
+    /**
+     * Refresh the ages in view, and everything that depends on devices that turned stale (or back)
+     */
+    _tick() {
+        const stale = new Set(Object.values(this.devices)
+            .filter(d => this.deviceState(d) === 'stale')
+            .map(d => d.id));
+        const changed = [...stale].filter(id => !this._stale.has(id))
+            .concat([...this._stale].filter(id => !stale.has(id)));
+        this._stale = stale;
+
+        changed.forEach(deviceId => MapManager.refreshMarker(deviceId));
+        if (changed.length > 0) {
+            this.renderDeviceList();
+            this.updateDeviceCount();
+        }
+
+        this.entries.forEach(entry => {
+            if (entry.type === 'device' && this.rows[entry.key]) this._dirty.add(entry.id);
+        });
+        this._schedule();
+
+        if (MapManager.selectedDeviceId) MapManager.updateInfoCard();
+    },
+
+    /**
+     * Sort by the chosen option; by name puts online devices first
+     */
+    _sortDevices(devices) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+
+        const value = {
+            speed: d => this.positions[d.id]?.speed ?? -1,
+            lastUpdate: d => new Date(d.lastUpdate || 0).getTime(),
+            todayKm: d => this.todayKm[d.id] ?? -1
+        }[this.sortBy];
+
+        if (!value) {
+            return devices.sort((a, b) => {
+                if (a.status === 'online' && b.status !== 'online') return -1;
+                if (a.status !== 'online' && b.status === 'online') return 1;
+                return byName(a, b);
+            });
+        }
+        return devices.sort((a, b) => value(b) - value(a) || byName(a, b));
+    },
+
+    /**
+     * Today's distance of every device, measured like the info card's (at most every 5 minutes)
+     */
+    async _loadTodayKm() {
+        const deviceIds = Object.keys(this.devices).map(Number);
+        if (deviceIds.length === 0 || Date.now() - this._todayKmLoaded < 5 * 60000) return;
+        this._todayKmLoaded = Date.now();
+
+        const now = new Date();
+        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const from = startOfDay.toISOString();
+        const to = now.toISOString();
+
+        // A few routes at a time so a large fleet does not flood the server
+        // Devices whose route fails stay unsorted until the next reload
+        const todayKm = {};
+        for (let i = 0; i < deviceIds.length; i += CONFIG.TODAY_KM_BATCH) {
+            await Promise.all(deviceIds.slice(i, i + CONFIG.TODAY_KM_BATCH).map(async (deviceId) => {
+                try {
+                    todayKm[deviceId] = Trajectory.distance(await API.getRouteHistory(deviceId, from, to));
+                } catch (error) {
+                    console.error(`Failed to load today's km of device ${deviceId}:`, error.message);
+                }
+            }));
+        }
+
+        this.todayKm = todayKm;
+        this.renderDeviceList();
+    },
+
+    /**
+     * Row heights from rendered rows, so the mobile layout measures its own
+     */
+    _measureRows() {
+        const measure = (entry, fallback) => {
+            if (!entry) return fallback;
+            const row = this._createRow(entry);
+            row.style.visibility = 'hidden';
+            this._inner.appendChild(row);
+            const height = row.offsetHeight + parseFloat(getComputedStyle(row).marginBottom || 0);
+            row.remove();
+            return height || fallback;
+        };
+
+        this.rowHeight = measure(this.entries.find(e => e.type === 'device'), 80);
+        this.groupRowHeight = measure(this.entries.find(e => e.type === 'group'), 36);
+    },
+
+    _createRow(entry) {
+        const row = document.createElement('div');
+
+        if (entry.type === 'group') {
+            row.className = 'device-group';
+            row.dataset.id = entry.id;
+            row.innerHTML = `
+                <svg class="device-group-caret" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="6 9 12 15 18 9"/>
+                </svg>
+                <span class="device-group-name"></span>
+                <span class="device-group-count"></span>
+            `;
+        } else {
+            row.className = 'device-item';
+            row.dataset.id = entry.id;
+            row.innerHTML = `
+                <div class="device-header">
+                    <span class="device-name">
+                        <span class="device-icon"></span>
+                        <span class="device-name-text"></span>
+                    </span>
+                    <span class="device-status"></span>
+                </div>
+                <div class="device-info">
+                    <div class="device-info-item">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 2L19 21l-7-4-7 4 7-19z"/>
+                        </svg>
+                        <span class="device-speed"></span>
+                    </div>
+                    <div class="device-info-item device-km-item">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 17l6-6 4 4 8-8"/>
+                        </svg>
+                        <span class="device-km"></span>
                     </div>
-                    <div class="device-info">
-                        <div class="device-info-item">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M12 2L19 21l-7-4-7 4 7-19z"/>
-                            </svg>
-                            ${speed} km/h
-                        </div>
-                        <div class="device-info-item">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <circle cx="12" cy="12" r="10"/>
-                                <polyline points="12 6 12 12 16 14"/>
-                            </svg>
-                            ${this._formatTime(device.lastUpdate)}
-                        </div>
+                    <div class="device-info-item">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <polyline points="12 6 12 12 16 14"/>
+                        </svg>
+                        <span class="device-time"></span>
                     </div>
                 </div>
             `;
-        }).join('');
+        }
 
-        // Add click handlers
-        container.querySelectorAll('.device-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const deviceId = parseInt(item.dataset.id);
-                this.selectDevice(deviceId);
-            });
-        });
+        this._fillRow(row, entry);
+        return row;
+    },
+
+    /**
+     * Write current values into a row (text only, no rebuild)
+     */
+    _fillRow(row, entry) {
+        // Nested rows are indented by their depth in the group tree
+        row.style.left = `${entry.depth * 14}px`;
+
+        if (entry.type === 'group') {
+            row.classList.toggle('collapsed', entry.collapsed);
+            row.querySelector('.device-group-name').textContent = this.groups[entry.id]?.name || '';
+            row.querySelector('.device-group-count').textContent = `${entry.online}/${entry.total}`;
+            return;
+        }
+
+        const device = this.devices[entry.id];
+        if (!device) return;
+
+        const position = this.positions[entry.id];
+        const state = this.deviceState(device, position);
+
+        row.classList.toggle('active', device.id === this.activeDeviceId && !MapManager.liveMode);
+        row.classList.toggle('stale', state === 'stale');
+        row.querySelector('.device-name-text').textContent = device.name;
+
+        const icon = row.querySelector('.device-icon');
+        icon.textContent = CONFIG.DEVICE_ICONS[device.category] || CONFIG.DEVICE_ICONS.default;
+        icon.style.borderColor = MapManager._customColor(device) || 'transparent';
+
+        const status = row.querySelector('.device-status');
+        status.className = `device-status ${state === 'offline' ? 'offline' : state === 'stale' ? 'stale' : 'online'}`;
+        status.textContent = { offline: 'Offline', stale: 'Không cập nhật' }[state] || 'Online';
+
+        row.querySelector('.device-speed').textContent = `${position ? (position.speed * 1.852).toFixed(1) : '0'} km/h`;
+
+        const time = row.querySelector('.device-time');
+        time.textContent = this.formatLastSeen(entry.id);
+        time.title = this._formatTime(position ? position.fixTime : device.lastUpdate);
+
+        // Today's km only once loaded for the km sort
+        const km = this.todayKm[entry.id];
+        row.querySelector('.device-km-item').hidden = km === undefined;
+        row.querySelector('.device-km').textContent = km === undefined ? '' : `${km.toFixed(1)} km`;
     },
 
     /**
@@ -133,10 +594,22 @@ const DeviceManager = {
      * Update single device position (called from WebSocket)
      */
     updatePosition(position) {
-        this.positions[position.deviceId] = position;
+        // Ignore deltas older than what a snapshot already delivered
+        const current = this.positions[position.deviceId];
+        if (current && new Date(position.fixTime) < new Date(current.fixTime)) return;
+
         const device = this.devices[position.deviceId];
+        const wasStale = device && this.deviceState(device) === 'stale';
+        this.positions[position.deviceId] = position;
 
         if (device) {
+            // A fresh fix brings a stale device back (an invalid one may make it stale)
+            const stale = this.deviceState(device) === 'stale';
+            if (stale !== wasStale) {
+                stale ? this._stale.add(device.id) : this._stale.delete(device.id);
+                this.updateDeviceCount();
+            }
+
             // Update marker on map (with auto-fit in LIVE mode)
             const shouldBlink = MapManager.liveMode;
             MapManager.updateMarker(position.deviceId, position, device, shouldBlink);
@@ -148,7 +621,14 @@ const DeviceManager = {
                 MapManager._refetchTodayKmDebounced(position.deviceId);
             }
 
-            this.renderDeviceList();
+            // Speed and fix time decide the motion filters and the speed sort
+            const resort = stale !== wasStale || this.sortBy === 'speed' ||
+                ['moving', 'stopped', 'stale'].some(f => this.filters.has(f));
+            if (resort) {
+                this.renderDeviceList();
+            } else {
+                this._refreshRow(position.deviceId);
+            }
             this._updateLastUpdateTime();
 
             // Highlight the updated device in the list
@@ -160,7 +640,7 @@ const DeviceManager = {
      * Highlight device update time with blink animation
      */
     _highlightDeviceUpdate(deviceId) {
-        const deviceItem = document.querySelector(`.device-item[data-id="${deviceId}"]`);
+        const deviceItem = this.rows[`d${deviceId}`];
         if (deviceItem) {
             // Add blink class
             deviceItem.classList.add('device-updated');
@@ -176,8 +656,20 @@ const DeviceManager = {
      * Update device status
      */
     updateDevice(device) {
+        const previous = this.devices[device.id];
         this.devices[device.id] = device;
-        this.renderDeviceList();
+
+        // Status, category or color may have changed
+        MapManager.refreshMarker(device.id);
+
+        // Only a new device, a rename, a status or group change (or the update time sort) can move it in the list
+        const moved = !previous || previous.status !== device.status || previous.name !== device.name ||
+            previous.groupId !== device.groupId || this.sortBy === 'lastUpdate';
+        if (moved) {
+            this.renderDeviceList();
+        } else {
+            this._refreshRow(device.id);
+        }
         this.updateDeviceCount();
     },
 
@@ -185,8 +677,7 @@ const DeviceManager = {
      * Select a device - directly zoom to detail view
      */
     selectDevice(deviceId) {
-        this.activeDeviceId = deviceId;
-        this.renderDeviceList();
+        this._setActive(deviceId);
         // focusDevice will handle exiting LIVE mode and zooming
         MapManager.focusDevice(deviceId);
     },
@@ -195,8 +686,13 @@ const DeviceManager = {
      * Clear active device selection (for LIVE mode)
      */
     clearActiveDevice() {
-        this.activeDeviceId = null;
-        this.renderDeviceList();
+        this._setActive(null);
+    },
+
+    _setActive(deviceId) {
+        if (this.activeDeviceId) this._refreshRow(this.activeDeviceId);
+        this.activeDeviceId = deviceId;
+        if (deviceId) this._refreshRow(deviceId);
     },
 
     /**
@@ -206,10 +702,11 @@ const DeviceManager = {
         const countEl = document.getElementById('deviceCount');
         if (!countEl) return;
 
-        const total = Object.keys(this.devices).length;
-        const online = Object.values(this.devices).filter(d => d.status === 'online').length;
+        const devices = Object.values(this.devices);
+        const online = devices.filter(d => this._isLive(d)).length;
+        const stale = devices.filter(d => this.deviceState(d) === 'stale').length;
 
-        countEl.textContent = `${online}/${total} online`;
+        countEl.textContent = `${online}/${devices.length} online` + (stale > 0 ? ` · ${stale} không cập nhật` : '');
     },
 
     /**
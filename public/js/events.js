@@ -0,0 +1,315 @@
+/**
+ * Events module - Live feed of Traccar events (alarms, geofences, ignition, overspeed...)
+ * and of the alerts raised by the server's rules
+ */
+const EventManager = {
+    events: [],       // newest first, at most CONFIG.EVENT_FEED_MAX
+    unread: 0,
+    panelOpen: false,
+    filter: 'all',
+
+    // Human-readable names of Traccar event types
+    labels: {
+        alarm: { vi: 'Báo động', en: 'Alarm' },
+        geofenceEnter: { vi: 'Vào vùng', en: 'Entered geofence' },
+        geofenceExit: { vi: 'Ra khỏi vùng', en: 'Exited geofence' },
+        ignitionOn: { vi: 'Bật máy', en: 'Ignition on' },
+        ignitionOff: { vi: 'Tắt máy', en: 'Ignition off' },
+        deviceOverspeed: { vi: 'Quá tốc độ', en: 'Overspeed' },
+        deviceOnline: { vi: 'Trực tuyến', en: 'Online' },
+        deviceOffline: { vi: 'Mất kết nối', en: 'Offline' },
+        deviceUnknown: { vi: 'Không rõ trạng thái', en: 'Status unknown' },
+        deviceInactive: { vi: 'Không hoạt động', en: 'Inactive' },
+        deviceMoving: { vi: 'Bắt đầu di chuyển', en: 'Started moving' },
+        deviceStopped: { vi: 'Dừng lại', en: 'Stopped' },
+        deviceFuelDrop: { vi: 'Nhiên liệu giảm đột ngột', en: 'Fuel drop' },
+        deviceFuelIncrease: { vi: 'Đổ nhiên liệu', en: 'Fuel increase' },
+        commandResult: { vi: 'Phản hồi lệnh', en: 'Command result' },
+        queuedCommandSent: { vi: 'Đã gửi lệnh chờ', en: 'Queued command sent' },
+        maintenance: { vi: 'Đến hạn bảo dưỡng', en: 'Maintenance due' },
+        textMessage: { vi: 'Tin nhắn', en: 'Text message' },
+        driverChanged: { vi: 'Đổi tài xế', en: 'Driver changed' },
+        media: { vi: 'Ảnh/Video', en: 'Media' },
+        ruleOverspeed: { vi: 'Vượt tốc độ cho phép', en: 'Speed limit exceeded' },
+        ruleIdle: { vi: 'Nổ máy không di chuyển', en: 'Idling' },
+        ruleOffline: { vi: 'Mất tín hiệu quá lâu', en: 'Offline too long' },
+        ruleSchedule: { vi: 'Di chuyển ngoài giờ', en: 'Moving off-hours' }
+    },
+
+    // Alarm kinds reported in event.attributes.alarm
+    alarmLabels: {
+        sos: { vi: 'SOS', en: 'SOS' },
+        vibration: { vi: 'Rung lắc', en: 'Vibration' },
+        movement: { vi: 'Di chuyển trái phép', en: 'Movement' },
+        overspeed: { vi: 'Quá tốc độ', en: 'Overspeed' },
+        lowBattery: { vi: 'Pin yếu', en: 'Low battery' },
+        lowPower: { vi: 'Nguồn yếu', en: 'Low power' },
+        powerCut: { vi: 'Cắt nguồn', en: 'Power cut' },
+        powerRestored: { vi: 'Có nguồn lại', en: 'Power restored' },
+        door: { vi: 'Mở cửa', en: 'Door' },
+        gpsAntennaCut: { vi: 'Cắt ăng-ten GPS', en: 'GPS antenna cut' },
+        accident: { vi: 'Va chạm', en: 'Accident' },
+        tow: { vi: 'Bị kéo xe', en: 'Towing' },
+        hardBraking: { vi: 'Phanh gấp', en: 'Hard braking' },
+        hardAcceleration: { vi: 'Tăng tốc gấp', en: 'Hard acceleration' },
+        fatigueDriving: { vi: 'Lái xe quá giờ', en: 'Fatigue driving' },
+        jamming: { vi: 'Nhiễu sóng', en: 'Jamming' },
+        tampering: { vi: 'Can thiệp thiết bị', en: 'Tampering' }
+    },
+
+    // Filter groups shown in the panel: group -> event types (other = everything else)
+    groups: {
+        alarm: ['alarm'],
+        geofence: ['geofenceEnter', 'geofenceExit'],
+        ignition: ['ignitionOn', 'ignitionOff'],
+        overspeed: ['deviceOverspeed'],
+        status: ['deviceOnline', 'deviceOffline', 'deviceUnknown', 'deviceInactive', 'deviceMoving', 'deviceStopped'],
+        rule: ['ruleOverspeed', 'ruleIdle', 'ruleOffline', 'ruleSchedule']
+    },
+
+    icons: {
+        alarm: '🚨',
+        geofenceEnter: '📥',
+        geofenceExit: '📤',
+        ignitionOn: '🔑',
+        ignitionOff: '⏹️',
+        deviceOverspeed: '⚡',
+        deviceOnline: '🟢',
+        deviceOffline: '🔴',
+        commandResult: '📩',
+        ruleOverspeed: '🏎️',
+        ruleIdle: '⏳',
+        ruleOffline: '📵',
+        ruleSchedule: '🌙'
+    },
+
+    /**
+     * Bind the header button, panel and list
+     */
+    init() {
+        document.getElementById('eventsBtn')?.addEventListener('click', () => this.togglePanel());
+        document.getElementById('eventsClose')?.addEventListener('click', () => this.togglePanel(false));
+
+        document.getElementById('eventsFilter')?.addEventListener('change', (e) => {
+            this.filter = e.target.value;
+            this.renderList();
+        });
+
+        document.getElementById('eventsClear')?.addEventListener('click', () => {
+            this.events = [];
+            this.renderList();
+        });
+
+        // One handler for every row of the feed
+        document.getElementById('eventsList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.event-item');
+            if (item) this.focusEvent(this.events.find(evt => String(evt.id) === item.dataset.id));
+        });
+
+        this.renderList();
+    },
+
+    /**
+     * New event from the WebSocket
+     */
+    addEvent(event) {
+        // The same event can arrive again after a reconnect
+        if (this.events.some(e => e.id === event.id)) return;
+
+        this.events.unshift(event);
+        if (this.events.length > CONFIG.EVENT_FEED_MAX) {
+            this.events.length = CONFIG.EVENT_FEED_MAX;
+        }
+
+        if (!this.panelOpen) {
+            this.unread++;
+            this._updateUnread();
+        }
+
+        if (CONFIG.EVENT_TOAST_TYPES.includes(event.type)) {
+            this._showToast(event);
+        }
+
+        this.renderList();
+    },
+
+    /**
+     * New alert from the server's rules, shown in the feed like a Traccar event
+     */
+    addAlert(alert) {
+        const type = `rule${alert.type.charAt(0).toUpperCase()}${alert.type.slice(1)}`;
+        this.addEvent({
+            id: `rule-${alert.id}`,
+            type,
+            deviceId: alert.deviceId,
+            positionId: alert.positionId,
+            eventTime: alert.time,
+            attributes: { ...alert.details, ruleName: alert.ruleName }
+        });
+    },
+
+    /**
+     * Open or close the feed (opening marks everything as read)
+     */
+    togglePanel(open = !this.panelOpen) {
+        this.panelOpen = open;
+        document.getElementById('eventsPanel')?.classList.toggle('active', open);
+        document.getElementById('eventsBtn')?.classList.toggle('active', open);
+
+        if (open) {
+            this.unread = 0;
+            this._updateUnread();
+        }
+    },
+
+    /**
+     * Render the feed with the current filter
+     */
+    renderList() {
+        const container = document.getElementById('eventsList');
+        if (!container) return;
+
+        const events = this.events.filter(event => this._matchesFilter(event));
+        if (events.length === 0) {
+            container.innerHTML = `<div class="events-empty">${this.events.length ? 'Không có sự kiện phù hợp' : 'Chưa có sự kiện nào'}</div>`;
+            return;
+        }
+
+        container.innerHTML = events.map(event => `
+            <div class="event-item event-${this._groupOf(event.type)}" data-id="${event.id}">
+                <span class="event-icon">${this.icons[event.type] || '🔔'}</span>
+                <div class="event-body">
+                    <div class="event-title">${this._escapeHtml(this.describe(event))}</div>
+                    <div class="event-meta">${this._escapeHtml(this._deviceName(event.deviceId))} · ${this._formatTime(event.eventTime)}</div>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Label of an event, with the alarm kind or geofence name when known
+     */
+    describe(event) {
+        let text = this._label(this.labels[event.type]) || event.type;
+
+        if (event.type === 'alarm' && event.attributes?.alarm) {
+            const alarm = event.attributes.alarm;
+            text += `: ${this._label(this.alarmLabels[alarm]) || alarm}`;
+        }
+
+        if (event.geofenceId) {
+            const geofence = typeof GeofenceManager !== 'undefined' && GeofenceManager.geofences[event.geofenceId];
+            if (geofence) text += ` - ${geofence.name}`;
+        }
+
+        if (event.type === 'deviceOverspeed' && event.attributes?.speed) {
+            text += ` (${(event.attributes.speed * 1.852).toFixed(0)} km/h)`;
+        }
+
+        // Rule alerts carry km/h and minutes already
+        if (event.attributes?.ruleName) {
+            text += ` - ${event.attributes.ruleName}`;
+            if (event.type === 'ruleOverspeed') {
+                text += ` (${event.attributes.speed}/${event.attributes.speedLimit} km/h)`;
+            } else if (event.type === 'ruleOffline') {
+                text += ` (${event.attributes.minutes} ${CONFIG.LANGUAGE === 'en' ? 'min' : 'phút'})`;
+            }
+        }
+
+        return text;
+    },
+
+    /**
+     * Show the device of an event and, when Traccar gives one, where it happened
+     */
+    async focusEvent(event) {
+        if (!event) return;
+
+        if (DeviceManager.devices[event.deviceId]) {
+            DeviceManager.selectDevice(event.deviceId);
+        }
+        if (!event.positionId) return;
+
+        try {
+            const position = await API.getPosition(event.positionId);
+            if (position) {
+                MapManager.showEventLocation(position, this.describe(event));
+            }
+        } catch (error) {
+            console.error('Failed to load event position:', error);
+        }
+    },
+
+    /**
+     * Pop up a short-lived notification
+     */
+    _showToast(event) {
+        const container = document.getElementById('toastContainer');
+        if (!container) return;
+
+        const toast = document.createElement('div');
+        toast.className = `toast event-${this._groupOf(event.type)}`;
+        toast.innerHTML = `
+            <span class="event-icon">${this.icons[event.type] || '🔔'}</span>
+            <div class="event-body">
+                <div class="event-title">${this._escapeHtml(this.describe(event))}</div>
+                <div class="event-meta">${this._escapeHtml(this._deviceName(event.deviceId))} · ${this._formatTime(event.eventTime)}</div>
+            </div>
+        `;
+        toast.addEventListener('click', () => {
+            toast.remove();
+            this.focusEvent(event);
+        });
+
+        container.appendChild(toast);
+
+        // Keep a few at most
+        while (container.children.length > 4) {
+            container.firstElementChild.remove();
+        }
+
+        setTimeout(() => toast.classList.add('hiding'), CONFIG.EVENT_TOAST_DURATION);
+        setTimeout(() => toast.remove(), CONFIG.EVENT_TOAST_DURATION + 300);
+    },
+
+    _updateUnread() {
+        const badge = document.getElementById('eventsUnread');
+        if (!badge) return;
+        badge.textContent = this.unread > 99 ? '99+' : this.unread;
+        badge.style.display = this.unread > 0 ? '' : 'none';
+    },
+
+    _matchesFilter(event) {
+        return this.filter === 'all' || this._groupOf(event.type) === this.filter;
+    },
+
+    _groupOf(type) {
+        return Object.keys(this.groups).find(group => this.groups[group].includes(type)) || 'other';
+    },
+
+    _label(label) {
+        return label ? label[CONFIG.LANGUAGE] || label.vi : null;
+    },
+
+    _deviceName(deviceId) {
+        return DeviceManager.devices[deviceId]?.name || `#${deviceId}`;
+    },
+
+    /**
+     * Format an ISO time as HH:mm:ss DD/MM
+     */
+    _formatTime(iso) {
+        const date = iso ? new Date(iso) : new Date();
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${pad(date.getDate())}/${pad(date.getMonth() + 1)}`;
+    },
+
+    /**
+     * Escape HTML
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,557 @@
+/**
+ * Geofences module - Shows Traccar geofences and lets dispatchers draw, edit and assign them
+ *
+ * Traccar stores areas as WKT with latitude first:
+ *   CIRCLE (lat lon, radius)  POLYGON ((lat lon, lat lon, ...))  LINESTRING (lat lon, lat lon, ...)
+ */
+const GeofenceManager = {
+    geofences: {},     // geofenceId -> geofence
+    draw: null,        // MapboxDraw instance (null when the plugin failed to load)
+    editing: null,     // { id, type, featureId, original, linked } while the editor is open
+    panelOpen: false,
+    popup: null,
+
+    /**
+     * Add the map control, drawing tools and load geofences
+     */
+    async init() {
+        const map = MapManager.map;
+        if (!map) return;
+
+        map.addControl(this._createToggleControl(), 'top-right');
+
+        if (typeof MapboxDraw !== 'undefined') {
+            this.draw = new MapboxDraw({ displayControlsDefault: false });
+            map.addControl(this.draw);
+
+            map.on('draw.create', (e) => this._onDrawCreate(e));
+            map.on('draw.update', () => this._render());
+        } else {
+            console.warn('Mapbox Draw not available - geofence editing disabled');
+            document.querySelectorAll('[data-geofence-type]').forEach(btn => btn.disabled = true);
+        }
+
+        this.popup = new mapboxgl.Popup({ closeButton: false });
+        ['geofence-fill', 'geofence-line'].forEach(layerId => {
+            map.on('click', layerId, (e) => this._onGeofenceClick(e));
+            map.on('mouseenter', layerId, () => map.getCanvas().style.cursor = 'pointer');
+            map.on('mouseleave', layerId, () => map.getCanvas().style.cursor = '');
+        });
+
+        this._initPanel();
+        await this.loadGeofences();
+    },
+
+    /**
+     * Load all geofences of the user and draw them
+     */
+    async loadGeofences() {
+        try {
+            const geofences = await API.getGeofences();
+            this.geofences = {};
+            geofences.forEach(g => this.geofences[g.id] = g);
+
+            this._render();
+            this._renderList();
+            console.log(`🗺️ Loaded ${geofences.length} geofences`);
+        } catch (error) {
+            console.error('Failed to load geofences:', error);
+        }
+    },
+
+    /**
+     * Map control button that opens the geofence panel
+     */
+    _createToggleControl() {
+        return {
+            onAdd: () => {
+                const container = document.createElement('div');
+                container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group';
+                container.innerHTML = `
+                    <button type="button" class="geofence-ctrl" title="Vùng địa lý">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="12 2 21 7 21 17 12 22 3 17 3 7 12 2"/>
+                        </svg>
+                    </button>
+                `;
+                container.querySelector('button').addEventListener('click', () => this.togglePanel());
+                return container;
+            },
+            onRemove: () => {}
+        };
+    },
+
+    /**
+     * Bind the panel's buttons and inputs
+     */
+    _initPanel() {
+        document.getElementById('geofencePanelClose')?.addEventListener('click', () => this.togglePanel(false));
+
+        document.getElementById('geofenceVisible')?.addEventListener('change', (e) => {
+            MapManager.setGeofencesVisible(e.target.checked);
+        });
+
+        document.querySelectorAll('[data-geofence-type]').forEach(btn => {
+            btn.addEventListener('click', () => this.startCreate(btn.dataset.geofenceType));
+        });
+
+        document.getElementById('geofenceRadius')?.addEventListener('input', () => this._render());
+        document.getElementById('geofenceSave')?.addEventListener('click', () => this.save());
+        document.getElementById('geofenceCancel')?.addEventListener('click', () => this.cancelEdit());
+        document.getElementById('geofenceDelete')?.addEventListener('click', () => this.remove());
+
+        // One handler for every row of the list
+        document.getElementById('geofenceList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.geofence-item');
+            if (item) this.startEdit(parseInt(item.dataset.id));
+        });
+    },
+
+    /**
+     * Open or close the geofence panel
+     */
+    togglePanel(open = !this.panelOpen) {
+        this.panelOpen = open;
+        const panel = document.getElementById('geofencePanel');
+        if (panel) panel.style.display = open ? 'flex' : 'none';
+
+        if (!open && this.editing) {
+            this.cancelEdit();
+        }
+    },
+
+    /**
+     * Show a geofence's name, or edit it when the panel is open
+     */
+    _onGeofenceClick(e) {
+        if (this.editing) return;
+
+        // A device or cluster drawn over the zone takes the click
+        const map = MapManager.map;
+        if (map.queryRenderedFeatures(e.point, { layers: ['device-icons', 'device-clusters'] }).length) return;
+
+        const feature = e.features[0];
+        const geofence = this.geofences[feature.properties.id];
+        if (!geofence) return;
+
+        if (this.panelOpen) {
+            this.startEdit(geofence.id);
+            return;
+        }
+
+        this.popup
+            .setLngLat(e.lngLat)
+            .setHTML(`
+                <div class="geofence-popup">
+                    <strong>${this._escapeHtml(geofence.name)}</strong>
+                    ${geofence.description ? `<div>${this._escapeHtml(geofence.description)}</div>` : ''}
+                </div>
+            `)
+            .addTo(MapManager.map);
+    },
+
+    /**
+     * Start drawing a new geofence ('circle', 'polygon' or 'linestring')
+     */
+    startCreate(type) {
+        if (!this.draw) return;
+        this.cancelEdit();
+
+        this.editing = { id: null, type, featureId: null, original: null, linked: new Set() };
+        this.draw.changeMode({
+            circle: 'draw_point',
+            polygon: 'draw_polygon',
+            linestring: 'draw_line_string'
+        }[type]);
+
+        this._showEditor({ name: '', description: '' });
+        this._setHint({
+            circle: 'Nhấp vào bản đồ để chọn tâm vòng tròn',
+            polygon: 'Nhấp để thêm các đỉnh, nhấp đúp để kết thúc',
+            linestring: 'Nhấp để thêm các điểm, nhấp đúp để kết thúc'
+        }[type]);
+    },
+
+    /**
+     * Open an existing geofence in the editor
+     */
+    async startEdit(id) {
+        const geofence = this.geofences[id];
+        const area = geofence && this.parseArea(geofence.area);
+        if (!area || !this.draw) return;
+        this.cancelEdit();
+        this.popup.remove();
+
+        const [featureId] = this.draw.add({
+            type: 'Feature',
+            properties: {},
+            geometry: area.type === 'circle'
+                ? { type: 'Point', coordinates: area.center }
+                : area.geometry
+        });
+
+        this.editing = { id, type: area.type, featureId, original: geofence, linked: null };
+        if (area.type === 'circle') {
+            this.draw.changeMode('simple_select', { featureIds: [featureId] });
+        } else {
+            this.draw.changeMode('direct_select', { featureId });
+        }
+
+        this._showEditor(geofence, area.radius);
+        this._setHint(area.type === 'circle'
+            ? 'Kéo tâm để di chuyển, đổi bán kính bên dưới'
+            : 'Kéo các đỉnh để chỉnh sửa vùng');
+        this._render();
+
+        // Devices currently linked to this geofence
+        this._renderDevices(null);
+        try {
+            const devices = Object.values(DeviceManager.devices);
+            const lists = await Promise.all(devices.map(d => API.getGeofences(d.id)));
+            if (this.editing?.id !== id) return;
+
+            this.editing.linked = new Set(devices
+                .filter((d, i) => lists[i].some(g => g.id === id))
+                .map(d => d.id));
+            this._renderDevices(this.editing.linked);
+        } catch (error) {
+            console.error('Failed to load geofence devices:', error);
+        }
+    },
+
+    /**
+     * Leave the editor without saving
+     */
+    cancelEdit() {
+        if (this.draw) {
+            this.draw.deleteAll();
+            this.draw.changeMode('simple_select');
+        }
+        this.editing = null;
+
+        document.getElementById('geofenceListView').style.display = 'block';
+        document.getElementById('geofenceEditor').style.display = 'none';
+        this._render();
+    },
+
+    /**
+     * Create or update the edited geofence and its device links
+     */
+    async save() {
+        if (!this.editing) return;
+
+        const name = document.getElementById('geofenceName').value.trim();
+        const description = document.getElementById('geofenceDescription').value.trim();
+        const feature = this.editing.featureId && this.draw.get(this.editing.featureId);
+
+        if (!name) {
+            alert('Vui lòng nhập tên vùng');
+            return;
+        }
+        if (!feature) {
+            alert('Vui lòng vẽ vùng trên bản đồ');
+            return;
+        }
+
+        const area = this.toArea(this.editing.type, feature.geometry, this._radius());
+        if (!area) {
+            alert('Vùng chưa hợp lệ, vui lòng vẽ lại');
+            return;
+        }
+
+        const btn = document.getElementById('geofenceSave');
+        btn.disabled = true;
+
+        try {
+            const original = this.editing.original || {};
+            const geofence = { ...original, name, description, area };
+            const saved = this.editing.id
+                ? await API.updateGeofence(this.editing.id, geofence)
+                : await API.createGeofence(geofence);
+
+            await this._saveDevices(saved.id);
+
+            console.log(`✅ Geofence saved: ${saved.name}`);
+            this.cancelEdit();
+            await this.loadGeofences();
+        } catch (error) {
+            console.error('Failed to save geofence:', error);
+            alert(error.detail || 'Không thể lưu vùng địa lý. Vui lòng thử lại.');
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    /**
+     * Link/unlink devices to match the checkboxes
+     */
+    async _saveDevices(geofenceId) {
+        // Links are unknown if loading them failed - leave them alone
+        const linked = this.editing.linked;
+        if (!linked) return;
+
+        const checked = new Set([...document.querySelectorAll('#geofenceDevices input:checked')]
+            .map(input => parseInt(input.value)));
+
+        const changes = [];
+        checked.forEach(deviceId => {
+            if (!linked.has(deviceId)) changes.push(API.linkGeofence(deviceId, geofenceId));
+        });
+        linked.forEach(deviceId => {
+            if (!checked.has(deviceId)) changes.push(API.unlinkGeofence(deviceId, geofenceId));
+        });
+        await Promise.all(changes);
+    },
+
+    /**
+     * Delete the edited geofence
+     */
+    async remove() {
+        const geofence = this.editing?.original;
+        if (!geofence) return;
+        if (!confirm(`Xoá vùng "${geofence.name}"?`)) return;
+
+        try {
+            await API.deleteGeofence(geofence.id);
+            console.log(`🗑️ Geofence deleted: ${geofence.name}`);
+            this.cancelEdit();
+            await this.loadGeofences();
+        } catch (error) {
+            console.error('Failed to delete geofence:', error);
+            alert(error.detail || 'Không thể xoá vùng địa lý. Vui lòng thử lại.');
+        }
+    },
+
+    /**
+     * A shape was finished on the map
+     */
+    _onDrawCreate(e) {
+        if (!this.editing || this.editing.featureId) return;
+
+        this.editing.featureId = e.features[0].id;
+        this._setHint(this.editing.type === 'circle'
+            ? 'Kéo tâm để di chuyển, đổi bán kính bên dưới'
+            : 'Kéo các đỉnh để chỉnh sửa vùng');
+        this._render();
+    },
+
+    /**
+     * Fill the editor with a geofence's values
+     */
+    _showEditor(geofence, radius = 200) {
+        document.getElementById('geofenceListView').style.display = 'none';
+        document.getElementById('geofenceEditor').style.display = 'block';
+
+        document.getElementById('geofenceName').value = geofence.name || '';
+        document.getElementById('geofenceDescription').value = geofence.description || '';
+        document.getElementById('geofenceRadius').value = Math.round(radius);
+        document.getElementById('geofenceRadiusGroup').style.display = this.editing.type === 'circle' ? 'block' : 'none';
+        document.getElementById('geofenceDelete').style.display = this.editing.id ? '' : 'none';
+
+        this._renderDevices(this.editing.linked);
+    },
+
+    _setHint(text) {
+        const hint = document.getElementById('geofenceHint');
+        if (hint) hint.textContent = text;
+    },
+
+    /**
+     * Device checkboxes (linked = null while the links are loading)
+     */
+    _renderDevices(linked) {
+        const container = document.getElementById('geofenceDevices');
+        if (!container) return;
+
+        if (!linked) {
+            container.innerHTML = '<span class="geofence-empty">Đang tải...</span>';
+            return;
+        }
+
+        const devices = Object.values(DeviceManager.devices).sort((a, b) => a.name.localeCompare(b.name));
+        if (devices.length === 0) {
+            container.innerHTML = '<span class="geofence-empty">Không có xe nào</span>';
+            return;
+        }
+
+        container.innerHTML = devices.map(device => `
+            <label class="geofence-device">
+                <input type="checkbox" value="${device.id}" ${linked.has(device.id) ? 'checked' : ''}>
+                ${this._escapeHtml(device.name)}
+            </label>
+        `).join('');
+    },
+
+    /**
+     * Geofence list in the panel
+     */
+    _renderList() {
+        const container = document.getElementById('geofenceList');
+        if (!container) return;
+
+        const geofences = Object.values(this.geofences).sort((a, b) => a.name.localeCompare(b.name));
+        if (geofences.length === 0) {
+            container.innerHTML = '<span class="geofence-empty">Chưa có vùng địa lý nào</span>';
+            return;
+        }
+
+        const icons = { circle: '◯', polygon: '⬠', linestring: '〰' };
+        container.innerHTML = geofences.map(geofence => {
+            const area = this.parseArea(geofence.area);
+            return `
+                <div class="geofence-item" data-id="${geofence.id}">
+                    <span class="geofence-item-icon" style="color: ${this._color(geofence)}">${area ? icons[area.type] : '?'}</span>
+                    <span class="geofence-item-name">${this._escapeHtml(geofence.name)}</span>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Draw all geofences (except the one being edited) plus the circle preview
+     */
+    _render() {
+        const features = [];
+
+        Object.values(this.geofences).forEach(geofence => {
+            if (this.editing && this.editing.id === geofence.id) return;
+            features.push(...this.toFeatures(geofence));
+        });
+
+        // The drawn point only marks the centre - show the circle around it
+        if (this.editing?.type === 'circle' && this.editing.featureId) {
+            const feature = this.draw.get(this.editing.featureId);
+            if (feature) {
+                features.push({
+                    type: 'Feature',
+                    properties: { color: '#00d4ff', preview: true },
+                    geometry: {
+                        type: 'Polygon',
+                        coordinates: [this._circleCoordinates(feature.geometry.coordinates, this._radius())]
+                    }
+                });
+            }
+        }
+
+        MapManager.setGeofences(features);
+    },
+
+    _radius() {
+        return parseFloat(document.getElementById('geofenceRadius')?.value) || 0;
+    },
+
+    _color(geofence) {
+        return geofence.attributes?.color || '#00d4ff';
+    },
+
+    /**
+     * GeoJSON features (shape + label point) of a geofence
+     */
+    toFeatures(geofence) {
+        const area = this.parseArea(geofence.area);
+        if (!area) return [];
+
+        const properties = { id: geofence.id, name: geofence.name, color: this._color(geofence) };
+        let geometry = area.geometry;
+        let labelAt;
+
+        if (area.type === 'circle') {
+            geometry = { type: 'Polygon', coordinates: [this._circleCoordinates(area.center, area.radius)] };
+            labelAt = area.center;
+        } else if (area.type === 'polygon') {
+            const ring = area.geometry.coordinates[0].slice(0, -1);
+            labelAt = [
+                ring.reduce((sum, c) => sum + c[0], 0) / ring.length,
+                ring.reduce((sum, c) => sum + c[1], 0) / ring.length
+            ];
+        } else {
+            const line = area.geometry.coordinates;
+            labelAt = line[Math.floor(line.length / 2)];
+        }
+
+        return [
+            { type: 'Feature', properties, geometry },
+            { type: 'Feature', properties, geometry: { type: 'Point', coordinates: labelAt } }
+        ];
+    },
+
+    /**
+     * Parse Traccar WKT into { type, geometry } or { type: 'circle', center, radius }
+     * Coordinates come out as [lng, lat] like everything else on the map
+     */
+    parseArea(area) {
+        const match = /^\s*(CIRCLE|POLYGON|LINESTRING)\s*\((.*)\)\s*$/i.exec(area || '');
+        if (!match) return null;
+
+        const type = match[1].toLowerCase();
+        const parts = match[2].replace(/[()]/g, '').split(',').map(part => part.trim().split(/\s+/).map(Number));
+        if (parts.some(part => part.some(isNaN))) return null;
+
+        if (type === 'circle') {
+            if (parts.length !== 2) return null;
+            const [lat, lng] = parts[0];
+            return { type, center: [lng, lat], radius: parts[1][0] };
+        }
+
+        const coordinates = parts.map(([lat, lng]) => [lng, lat]);
+        if (type === 'polygon') {
+            if (coordinates.length < 3) return null;
+            const first = coordinates[0];
+            const last = coordinates[coordinates.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) coordinates.push(first);
+            return { type, geometry: { type: 'Polygon', coordinates: [coordinates] } };
+        }
+
+        if (coordinates.length < 2) return null;
+        return { type, geometry: { type: 'LineString', coordinates } };
+    },
+
+    /**
+     * Build Traccar WKT from a drawn geometry, or null when it is incomplete
+     */
+    toArea(type, geometry, radius) {
+        const point = ([lng, lat]) => `${lat.toFixed(6)} ${lng.toFixed(6)}`;
+
+        if (type === 'circle') {
+            if (geometry.type !== 'Point' || !(radius > 0)) return null;
+            return `CIRCLE (${point(geometry.coordinates)}, ${Math.round(radius)})`;
+        }
+
+        if (type === 'polygon') {
+            const ring = geometry.type === 'Polygon' ? geometry.coordinates[0] : [];
+            if (ring.length < 4) return null;  // three corners plus the closing point
+            return `POLYGON ((${ring.map(point).join(', ')}))`;
+        }
+
+        const line = geometry.type === 'LineString' ? geometry.coordinates : [];
+        if (line.length < 2) return null;
+        return `LINESTRING (${line.map(point).join(', ')})`;
+    },
+
+    /**
+     * Escape HTML
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Approximate a circle with a polygon ring
+     */
+    _circleCoordinates(center, radius, steps = 64) {
+        const [lng, lat] = center;
+        const earthRadius = 6371000;
+        const coordinates = [];
+
+        for (let i = 0; i <= steps; i++) {
+            const angle = (i / steps) * 2 * Math.PI;
+            const dLat = (radius * Math.sin(angle) / earthRadius) * (180 / Math.PI);
+            const dLng = (radius * Math.cos(angle) / (earthRadius * Math.cos(lat * Math.PI / 180))) * (180 / Math.PI);
+            coordinates.push([lng + dLng, lat + dLat]);
+        }
+
+        return coordinates;
+    }
+};
@@ -6,6 +6,9 @@ const HistoryManager = {
     isLoading: false,
     currentDeviceId: null,
     routeMarkers: [],  // Store route markers for cleanup
+    routePositions: [],  // Positions of the route on the map
+    routeStops: [],      // Stops of the drawn route { lng, lat, duration, time }
+    routeRange: null,    // { deviceId, from, to } of the loaded route, for exports
 
     /**
      * Initialize history module
@@ -100,7 +103,10 @@ const HistoryManager = {
         try {
             this.isLoading = true;
 
-            const positions = await API.getRouteHistory(deviceId, from, to);
+            const [positions, reports] = await Promise.all([
+                API.getRouteHistory(deviceId, from, to),
+                this._loadReports(deviceId, from, to)
+            ]);
 
             if (positions.length === 0) {
                 alert('Không có dữ liệu lộ trình hôm nay');
@@ -108,7 +114,8 @@ const HistoryManager = {
             }
 
             // Draw enhanced route on map
-            this._drawEnhancedRoute(positions);
+            this._drawEnhancedRoute(positions, reports);
+            this.routeRange = { deviceId, from, to };
 
             // Calculate and show stats
             const stats = this._calculateStats(positions);
@@ -190,10 +197,10 @@ const HistoryManager = {
             errors.push('Thời gian bắt đầu phải nhỏ hơn thời gian kết thúc');
         }
 
-        // Check max 7 days
-        const maxRange = 7 * 24 * 60 * 60 * 1000;
-        if (toDateTime - fromDateTime > maxRange) {
-            errors.push('Khoảng thời gian không được vượt quá 7 ngày');
+        // Check max range (the server's limit, unknown until its config has loaded)
+        const maxDays = MapManager.historyMaxDays;
+        if (maxDays && toDateTime - fromDateTime > maxDays * 24 * 60 * 60 * 1000) {
+            errors.push(`Khoảng thời gian không được vượt quá ${maxDays} ngày`);
         }
 
         // Check not future
@@ -263,7 +270,10 @@ const HistoryManager = {
             btn.disabled = true;
             btn.innerHTML = '<span class="spinner" style="width:16px;height:16px;border-width:2px;"></span> Đang tải...';
 
-            const positions = await API.getRouteHistory(deviceId, from, to);
+            const [positions, reports] = await Promise.all([
+                API.getRouteHistory(deviceId, from, to, (chunk, chunks) => this._showProgress(chunk, chunks)),
+                this._loadReports(deviceId, from, to)
+            ]);
 
             if (positions.length === 0) {
                 alert('Không có dữ liệu trong khoảng thời gian này');
@@ -271,7 +281,8 @@ const HistoryManager = {
             }
 
             // Draw enhanced route on map
-            this._drawEnhancedRoute(positions);
+            this._drawEnhancedRoute(positions, reports);
+            this.routeRange = { deviceId, from, to };
 
             // Calculate stats
             const stats = this._calculateStats(positions);
@@ -307,6 +318,7 @@ const HistoryManager = {
             alert(error.message || 'Lỗi khi tải lịch sử. Vui lòng thử lại.');
         } finally {
             this.isLoading = false;
+            this._hideProgress();
             btn.disabled = false;
             btn.innerHTML = `
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -318,10 +330,41 @@ const HistoryManager = {
         }
     },
 
+    /**
+     * Show how many windows of a long range have loaded
+     */
+    _showProgress(chunk, chunks) {
+        const progress = document.getElementById('historyProgress');
+        if (!progress || chunks <= 1) return;
+
+        progress.style.display = 'block';
+        progress.querySelector('.history-progress-fill').style.width = `${Math.round(chunk / chunks * 100)}%`;
+        progress.querySelector('.history-progress-text').textContent = `Đã tải ${chunk}/${chunks} tuần dữ liệu`;
+    },
+
+    _hideProgress() {
+        const progress = document.getElementById('historyProgress');
+        if (progress) progress.style.display = 'none';
+    },
+
+    /**
+     * Traccar's trips and stops reports for a route, or null to derive them from the positions
+     */
+    async _loadReports(deviceId, from, to) {
+        const query = { deviceIds: [deviceId], from, to };
+        try {
+            const [trips, stops] = await Promise.all([API.getTrips(query), API.getStops(query)]);
+            return { trips, stops };
+        } catch (error) {
+            console.warn('⚠️ Trip reports unavailable, detecting trips from positions:', error.message);
+            return null;
+        }
+    },
+
     /**
      * Draw enhanced route with direction arrows, speed colors, and stop markers (Mapbox)
      */
-    _drawEnhancedRoute(positions) {
+    _drawEnhancedRoute(positions, reports = null) {
         // Clear previous route
         MapManager.clearRoute();
         this._clearRouteMarkers();
@@ -332,10 +375,13 @@ const HistoryManager = {
         const legend = document.getElementById('routeLegend');
         if (legend) legend.style.display = 'block';
 
+        // Split into trips (Traccar's reports when available); the stops between them get markers
+        const { trips, stops } = reports
+            ? TripManager.fromReports(positions, reports.trips, reports.stops)
+            : TripManager.segment(positions);
+
         // Create GeoJSON features for each segment with speed-based colors
         const features = [];
-        let stops = [];
-        let stopStart = null;
 
         for (let i = 1; i < positions.length; i++) {
             const prevPos = positions[i - 1];
@@ -344,37 +390,19 @@ const HistoryManager = {
 
             // Determine color based on speed
             let color;
-            if (speedKmh < 1) {
+            if (speedKmh < CONFIG.TRIP_STOP_SPEED) {
                 color = '#ff4466';  // Stopped - red
-                // Track stop duration
-                if (!stopStart) {
-                    stopStart = { pos: prevPos, index: i - 1 };
-                }
             } else if (speedKmh < 30) {
                 color = '#ffaa00';  // Slow - orange
-                if (stopStart) {
-                    const duration = new Date(pos.deviceTime) - new Date(stopStart.pos.deviceTime);
-                    if (duration > 60000) { // More than 1 minute = stop
-                        stops.push({
-                            lng: stopStart.pos.longitude,
-                            lat: stopStart.pos.latitude,
-                            duration: duration,
-                            time: stopStart.pos.deviceTime
-                        });
-                    }
-                    stopStart = null;
-                }
             } else if (speedKmh < 60) {
                 color = '#00ff88';  // Normal - green
-                stopStart = null;
             } else {
                 color = '#00d4ff';  // Fast - cyan
-                stopStart = null;
             }
 
             features.push({
                 type: 'Feature',
-                properties: { color },
+                properties: { color, index: i },
                 geometry: {
                     type: 'LineString',
                     coordinates: [
@@ -431,6 +459,35 @@ const HistoryManager = {
         const routeBounds = new mapboxgl.LngLatBounds();
         positions.forEach(p => routeBounds.extend([p.longitude, p.latitude]));
         MapManager.map.fitBounds(routeBounds, { padding: 50 });
+
+        // Keep the route for replaying it
+        this.routePositions = positions;
+        this.routeStops = stops;
+        if (typeof PlaybackManager !== 'undefined') {
+            PlaybackManager.load(positions, stops);
+        }
+        if (typeof ChartManager !== 'undefined') {
+            ChartManager.load(positions, stops);
+        }
+        TripManager.load(positions, trips);
+        if (typeof OverlayManager !== 'undefined') {
+            OverlayManager.compare(positions);
+        }
+    },
+
+    /**
+     * Download the loaded route as a file (streamed by the server, so long ranges are fine)
+     */
+    exportRoute(format) {
+        if (!this.routeRange) return;
+
+        const { deviceId, from, to } = this.routeRange;
+        const link = document.createElement('a');
+        link.href = API.getRouteExportUrl(deviceId, from, to, format);
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
     },
 
     /**
@@ -495,6 +552,10 @@ const HistoryManager = {
         return (this._toDeg(Math.atan2(y, x)) + 360) % 360;
     },
 
+    _toRad(deg) {
+        return deg * Math.PI / 180;
+    },
+
     _toDeg(rad) {
         return rad * 180 / Math.PI;
     },
@@ -505,6 +566,20 @@ const HistoryManager = {
     _clearRouteMarkers() {
         this.routeMarkers.forEach(marker => marker.remove());
         this.routeMarkers = [];
+        this.routePositions = [];
+        this.routeStops = [];
+        this.routeRange = null;
+
+        if (typeof PlaybackManager !== 'undefined') {
+            PlaybackManager.unload();
+        }
+        if (typeof ChartManager !== 'undefined') {
+            ChartManager.unload();
+        }
+        TripManager.unload();
+        if (typeof OverlayManager !== 'undefined') {
+            OverlayManager.compare([]);
+        }
 
         // Hide legend
         const legend = document.getElementById('routeLegend');
@@ -520,66 +595,9 @@ const HistoryManager = {
     },
 
     /**
-     * Calculate route statistics
+     * Calculate route statistics (GPS noise filtered, see Trajectory)
      */
     _calculateStats(positions) {
-        let totalDistance = 0;
-        let maxSpeed = 0;
-        let speedSum = 0;
-        let speedCount = 0;
-        let stops = 0;
-        let inStop = false;
-
-        for (let i = 0; i < positions.length; i++) {
-            const pos = positions[i];
-            const speedKmh = pos.speed * 1.852;
-
-            if (speedKmh > maxSpeed) maxSpeed = speedKmh;
-            if (speedKmh > 0) {
-                speedSum += speedKmh;
-                speedCount++;
-                inStop = false;
-            } else {
-                if (!inStop && i > 0) {
-                    stops++;
-                    inStop = true;
-                }
-            }
-
-            // Calculate distance from previous point
-            if (i > 0) {
-                const prev = positions[i - 1];
-                totalDistance += this._haversineDistance(
-                    prev.latitude, prev.longitude,
-                    pos.latitude, pos.longitude
-                );
-            }
-        }
-
-        return {
-            distance: totalDistance,
-            maxSpeed: maxSpeed,
-            avgSpeed: speedCount > 0 ? speedSum / speedCount : 0,
-            points: positions.length,
-            stops: stops
-        };
-    },
-
-    /**
-     * Haversine formula for distance calculation
-     */
-    _haversineDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371;
-        const dLat = this._toRad(lat2 - lat1);
-        const dLon = this._toRad(lon2 - lon1);
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(this._toRad(lat1)) * Math.cos(this._toRad(lat2)) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-    },
-
-    _toRad(deg) {
-        return deg * Math.PI / 180;
+        return Trajectory.stats(positions);
     }
 };
@@ -0,0 +1,65 @@
+/**
+ * Login page - Authenticates with the user's own Traccar account
+ */
+const LoginPage = {
+    /**
+     * Initialize login form
+     */
+    async init() {
+        // Already logged in - go straight to the map
+        if (await API.getSession()) {
+            window.location.replace('/');
+            return;
+        }
+
+        document.getElementById('loginForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        if (new URLSearchParams(window.location.search).get('expired')) {
+            this._showError('Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.');
+        }
+    },
+
+    /**
+     * Submit credentials
+     */
+    async submit() {
+        const email = document.getElementById('loginEmail')?.value.trim();
+        const password = document.getElementById('loginPassword')?.value;
+        const btn = document.getElementById('loginBtn');
+
+        if (!email || !password) {
+            this._showError('Vui lòng nhập email và mật khẩu');
+            return;
+        }
+
+        try {
+            btn.disabled = true;
+            btn.innerHTML = '<span class="spinner" style="width:16px;height:16px;border-width:2px;"></span> Đang đăng nhập...';
+            this._showError(null);
+
+            await API.login(email, password);
+            window.location.replace('/');
+        } catch (error) {
+            this._showError(error.status === 401
+                ? 'Sai email hoặc mật khẩu'
+                : 'Không kết nối được máy chủ Traccar. Vui lòng thử lại.');
+            btn.disabled = false;
+            btn.textContent = 'Đăng nhập';
+        }
+    },
+
+    /**
+     * Show or hide the error message
+     */
+    _showError(message) {
+        const el = document.getElementById('loginError');
+        if (!el) return;
+        el.textContent = message || '';
+        el.style.display = message ? 'block' : 'none';
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => LoginPage.init());
@@ -3,17 +3,30 @@
  */
 const MapManager = {
     map: null,
-    markers: {},       // deviceId -> marker
-    markerLabels: {},  // deviceId -> label element
-    blinkElements: {}, // deviceId -> blink animation element
+    deviceFeatures: {}, // deviceId -> GeoJSON point of the devices source
+    deviceFilter: null, // Set of device ids shown on the map (null = all)
+    blinkElements: {},  // deviceId -> blink animation element
+    devicesSourceId: 'devices-source',
+    deviceColors: {     // Icon color of each device status
+        moving: '#00d4ff',
+        stopped: '#00ff88',
+        stale: '#ffaa00',
+        offline: '#888888'
+    },
+    _devicesFrame: null,
     popup: null,
     routeLayerId: 'route-layer',
     routeSourceId: 'route-source',
+    routeHighlightSourceId: 'route-highlight-source',
+    plannedSourceId: 'planned-source',
+    offRouteSourceId: 'off-route-source',
+    trailSourceId: 'trail-source',
     bounds: null,
     selectedDeviceId: null,  // Currently selected device for info card
     liveMode: false,
     userInteracted: false,   // Track if user manually zoomed/panned in LIVE mode
     mapboxToken: null,
+    historyMaxDays: null,    // Longest history range the server accepts (from /api/config)
 
     // Follow mode state
     followMode: false,           // Is follow mode active
@@ -21,6 +34,10 @@ const MapManager = {
     followPositions: [],         // Positions collected since follow started
     followSourceId: 'follow-source',
 
+    // Geofence layer state
+    geofenceSourceId: 'geofence-source',
+    geofencesVisible: true,
+
     // Route animation state
     _animationFrame: null,
     _dashOffset: 0,
@@ -34,6 +51,7 @@ const MapManager = {
             const response = await fetch('/api/config');
             const config = await response.json();
             this.mapboxToken = config.mapboxToken;
+            this.historyMaxDays = config.historyMaxDays;
 
             if (!this.mapboxToken) {
                 console.error('Mapbox token not configured');
@@ -70,6 +88,30 @@ const MapManager = {
         this.map.on('load', () => {
             console.log('🗺️ Mapbox GL initialized');
 
+            // Geofences sit below routes and follow paths
+            this._addGeofenceLayers();
+
+            // Imported planned route, under the history route
+            this.map.addSource(this.plannedSourceId, {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+
+            this.map.addLayer({
+                id: 'planned-layer',
+                type: 'line',
+                source: this.plannedSourceId,
+                layout: {
+                    'line-join': 'round',
+                    'line-cap': 'round'
+                },
+                paint: {
+                    'line-color': '#b388ff',
+                    'line-width': 10,
+                    'line-opacity': 0.5
+                }
+            });
+
             // Add route source and layer
             this.map.addSource(this.routeSourceId, {
                 type: 'geojson',
@@ -108,6 +150,45 @@ const MapManager = {
                 }
             });
 
+            // Parts of the history route away from the planned route
+            this.map.addSource(this.offRouteSourceId, {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+
+            this.map.addLayer({
+                id: 'off-route-layer',
+                type: 'line',
+                source: this.offRouteSourceId,
+                layout: {
+                    'line-join': 'round',
+                    'line-cap': 'round'
+                },
+                paint: {
+                    'line-color': '#ff4466',
+                    'line-width': 3,
+                    'line-dasharray': [1, 1.5]
+                }
+            });
+
+            // Point of the route highlighted from the chart
+            this.map.addSource(this.routeHighlightSourceId, {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+
+            this.map.addLayer({
+                id: 'route-highlight-layer',
+                type: 'circle',
+                source: this.routeHighlightSourceId,
+                paint: {
+                    'circle-radius': 7,
+                    'circle-color': '#ff4466',
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#ffffff'
+                }
+            });
+
             // Add follow source and layer
             this.map.addSource(this.followSourceId, {
                 type: 'geojson',
@@ -146,6 +227,32 @@ const MapManager = {
                 }
             });
 
+            // Live trails of all devices, under the markers
+            this.map.addSource(this.trailSourceId, {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+
+            this.map.addLayer({
+                id: 'trail-layer',
+                type: 'line',
+                source: this.trailSourceId,
+                layout: {
+                    'line-join': 'round',
+                    'line-cap': 'round'
+                },
+                paint: {
+                    'line-color': ['get', 'color'],
+                    'line-width': 3,
+                    // fade: 0 for the newest part of a trail, 1 for the oldest
+                    'line-opacity': ['interpolate', ['linear'], ['get', 'fade'], 0, 0.9, 1, 0.1]
+                }
+            });
+
+            // Devices on top of everything else
+            this._addDeviceLayers();
+            this._renderLegend();
+
             // Trigger app initialization
             if (typeof App !== 'undefined' && App.onMapReady) {
                 App.onMapReady();
@@ -169,6 +276,82 @@ const MapManager = {
         });
     },
 
+    /**
+     * Add the geofence source with fill, outline and label layers
+     */
+    _addGeofenceLayers() {
+        this.map.addSource(this.geofenceSourceId, {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+
+        this.map.addLayer({
+            id: 'geofence-fill',
+            type: 'fill',
+            source: this.geofenceSourceId,
+            filter: ['==', ['geometry-type'], 'Polygon'],
+            paint: {
+                'fill-color': ['get', 'color'],
+                'fill-opacity': ['case', ['boolean', ['get', 'preview'], false], 0.25, 0.12]
+            }
+        });
+
+        this.map.addLayer({
+            id: 'geofence-line',
+            type: 'line',
+            source: this.geofenceSourceId,
+            filter: ['!=', ['geometry-type'], 'Point'],
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': ['get', 'color'],
+                'line-width': ['case', ['==', ['geometry-type'], 'LineString'], 4, 2],
+                'line-opacity': 0.9
+            }
+        });
+
+        this.map.addLayer({
+            id: 'geofence-label',
+            type: 'symbol',
+            source: this.geofenceSourceId,
+            filter: ['==', ['geometry-type'], 'Point'],
+            layout: {
+                'text-field': ['get', 'name'],
+                'text-size': 12,
+                'text-font': ['DIN Pro Medium', 'Arial Unicode MS Regular']
+            },
+            paint: {
+                'text-color': '#ffffff',
+                'text-halo-color': 'rgba(0, 0, 0, 0.8)',
+                'text-halo-width': 1.5
+            }
+        });
+    },
+
+    /**
+     * Replace the geofence features drawn on the map
+     */
+    setGeofences(features) {
+        const source = this.map?.getSource(this.geofenceSourceId);
+        if (source) {
+            source.setData({ type: 'FeatureCollection', features });
+        }
+    },
+
+    /**
+     * Show or hide all geofence layers
+     */
+    setGeofencesVisible(visible) {
+        this.geofencesVisible = visible;
+        ['geofence-fill', 'geofence-line', 'geofence-label'].forEach(layerId => {
+            if (this.map?.getLayer(layerId)) {
+                this.map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
+            }
+        });
+    },
+
     /**
      * Set LIVE mode
      */
@@ -185,29 +368,29 @@ const MapManager = {
             // Hide info card
             this.hideInfoCard();
 
-            // Show all marker labels
-            this._updateAllMarkerLabels(true);
+            // Show all device labels
+            this._setDeviceLabelsVisible(true);
 
             // Fit to show all online devices
             this.fitBounds();
         } else {
-            // Hide all marker labels when not in LIVE mode
-            this._updateAllMarkerLabels(false);
+            // Hide all device labels when not in LIVE mode
+            this._setDeviceLabelsVisible(false);
         }
 
+        // Trails are a LIVE mode view
+        if (typeof TrailManager !== 'undefined') TrailManager.render();
+
         console.log(`📡 LIVE mode: ${enabled ? 'ON' : 'OFF'}`);
     },
 
     /**
-     * Update visibility of all marker labels
+     * Show or hide the device name labels
      */
-    _updateAllMarkerLabels(visible) {
-        Object.keys(this.markerLabels).forEach(deviceId => {
-            const labelData = this.markerLabels[deviceId];
-            if (labelData && labelData.el) {
-                labelData.el.style.display = visible ? 'block' : 'none';
-            }
-        });
+    _setDeviceLabelsVisible(visible) {
+        if (this.map && this.map.getLayer('device-labels')) {
+            this.map.setLayoutProperty('device-labels', 'visibility', visible ? 'visible' : 'none');
+        }
     },
 
     /**
@@ -215,40 +398,13 @@ const MapManager = {
      */
     updateMarker(deviceId, position, device, shouldBlink = false) {
         const lngLat = [position.longitude, position.latitude];
-        const deviceName = device ? device.name : `Device ${deviceId}`;
-
-        if (this.markers[deviceId]) {
-            // Update existing marker position
-            this.markers[deviceId].setLngLat(lngLat);
-
-            // Update marker icon rotation and color
-            const el = this.markers[deviceId].getElement();
-            this._updateMarkerElement(el, position, device);
-
-            // Update label position
-            if (this.markerLabels[deviceId]) {
-                this.markerLabels[deviceId].marker.setLngLat(lngLat);
-            }
-        } else {
-            // Create new marker element
-            const el = this._createMarkerElement(position, device);
-
-            // Create marker
-            const marker = new mapboxgl.Marker({ element: el, anchor: 'center' })
-                .setLngLat(lngLat)
-                .addTo(this.map);
-
-            // Click handler
-            el.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.showInfoCard(deviceId);
-            });
-
-            this.markers[deviceId] = marker;
 
-            // Create label for device name
-            this._createMarkerLabel(deviceId, lngLat, deviceName);
-        }
+        this.deviceFeatures[deviceId] = {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: lngLat },
+            properties: this._deviceProperties(deviceId, position, device)
+        };
+        this._refreshDevices();
 
         // Auto-center on selected device when its position updates
         if (this.selectedDeviceId && this.selectedDeviceId == deviceId && !this.liveMode) {
@@ -281,6 +437,90 @@ const MapManager = {
         this.bounds.extend(lngLat);
     },
 
+    /**
+     * Properties of a device point: status, and the icon for its category, color and motion
+     */
+    _deviceProperties(deviceId, position, device) {
+        const status = DeviceManager.deviceState(device, position);
+        const statusColor = this.deviceColors[status];
+        const category = CONFIG.DEVICE_ICONS[device?.category] ? device.category : 'default';
+        const color = this._customColor(device) || statusColor;
+        // Only a moving vehicle has a meaningful heading
+        const motion = status === 'moving' ? 'moving' : 'parked';
+
+        return {
+            deviceId: parseInt(deviceId),
+            name: device ? device.name : `Device ${deviceId}`,
+            status,
+            icon: `device:${category}:${color}:${statusColor}:${motion}`,
+            course: position.course || 0
+        };
+    },
+
+    /**
+     * Color set on the device in Traccar (attribute "color", #rrggbb), if any
+     */
+    _customColor(device) {
+        const color = device?.attributes?.color;
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null;
+    },
+
+    /**
+     * Redraw a marker from the current device data without moving the map
+     * (it turned stale or back, or its category or color changed)
+     */
+    refreshMarker(deviceId) {
+        const feature = this.deviceFeatures[deviceId];
+        const position = DeviceManager.positions[deviceId];
+        if (!feature || !position) return;
+
+        feature.properties = this._deviceProperties(deviceId, position, DeviceManager.devices[deviceId]);
+        this._refreshDevices();
+    },
+
+    /**
+     * Push the device points to the map once per frame, however many updates arrived
+     */
+    _refreshDevices() {
+        if (this._devicesFrame) return;
+        this._devicesFrame = requestAnimationFrame(() => {
+            this._devicesFrame = null;
+            const source = this.map && this.map.getSource(this.devicesSourceId);
+            if (source) {
+                const features = Object.entries(this.deviceFeatures)
+                    .filter(([deviceId]) => this._isDeviceShown(deviceId))
+                    .map(([_, feature]) => feature);
+                source.setData({ type: 'FeatureCollection', features });
+            }
+        });
+    },
+
+    /**
+     * Show only the devices the list is filtered to (null shows all)
+     */
+    setDeviceFilter(deviceIds) {
+        this.deviceFilter = deviceIds ? new Set([...deviceIds].map(id => parseInt(id))) : null;
+        this._refreshDevices();
+        if (typeof TrailManager !== 'undefined') TrailManager.render();
+    },
+
+    // The selected device stays visible whatever the filter
+    _isDeviceShown(deviceId) {
+        return !this.deviceFilter || this.deviceFilter.has(parseInt(deviceId)) || this.selectedDeviceId == deviceId;
+    },
+
+    /**
+     * Coordinates of the online devices passing the list filter
+     */
+    _onlineDeviceCoordinates() {
+        return Object.entries(this.deviceFeatures)
+            .filter(([deviceId]) => {
+                const device = typeof DeviceManager !== 'undefined' ? DeviceManager.devices[deviceId] : null;
+                return device && device.status === 'online' && this._isDeviceShown(deviceId);
+            })
+            .map(([_, feature]) => feature.geometry.coordinates);
+    },
+
     // Debounced auto-fit to avoid too frequent updates
     _autoFitTimeout: null,
     _autoFitBoundsDebounced() {
@@ -302,23 +542,18 @@ const MapManager = {
      * Pan to center of all online devices without changing zoom
      */
     _panToCenterOfDevices() {
-        const onlineMarkers = Object.entries(this.markers).filter(([deviceId]) => {
-            const device = typeof DeviceManager !== 'undefined' ? DeviceManager.devices[deviceId] : null;
-            return device && device.status === 'online';
-        });
-
-        if (onlineMarkers.length === 0) return;
+        const coordinates = this._onlineDeviceCoordinates();
+        if (coordinates.length === 0) return;
 
         // Calculate center point of all online devices
         let sumLng = 0, sumLat = 0;
-        onlineMarkers.forEach(([_, marker]) => {
-            const lngLat = marker.getLngLat();
-            sumLng += lngLat.lng;
-            sumLat += lngLat.lat;
+        coordinates.forEach(([lng, lat]) => {
+            sumLng += lng;
+            sumLat += lat;
         });
 
-        const centerLng = sumLng / onlineMarkers.length;
-        const centerLat = sumLat / onlineMarkers.length;
+        const centerLng = sumLng / coordinates.length;
+        const centerLat = sumLat / coordinates.length;
 
         // Smoothly pan to center without changing zoom
         this.map.easeTo({
@@ -328,52 +563,248 @@ const MapManager = {
     },
 
     /**
-     * Create marker DOM element
+     * Devices source (clustered at low zoom) with icon, label and cluster layers
      */
-    _createMarkerElement(position, device) {
-        const el = document.createElement('div');
-        el.className = 'mapbox-marker';
-        this._updateMarkerElement(el, position, device);
-        return el;
+    _addDeviceLayers() {
+        // Device icons are drawn the first time a category/color/motion combination shows up
+        this.map.on('styleimagemissing', (e) => {
+            if (e.id.startsWith('device:')) this._addDeviceIcon(e.id);
+        });
+        // Heading pointer, tinted per status
+        this.map.addImage('device-heading', this._createHeadingIcon(), { pixelRatio: 2, sdf: true });
+
+        // Clusters count their devices by status
+        const countStatus = (status) => ['+', ['case', ['==', ['get', 'status'], status], 1, 0]];
+
+        this.map.addSource(this.devicesSourceId, {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] },
+            cluster: true,
+            clusterMaxZoom: 11,
+            clusterRadius: 50,
+            clusterProperties: {
+                moving: countStatus('moving'),
+                stopped: countStatus('stopped'),
+                stale: countStatus('stale'),
+                offline: countStatus('offline')
+            }
+        });
+
+        this.map.addLayer({
+            id: 'device-clusters',
+            type: 'circle',
+            source: this.devicesSourceId,
+            filter: ['has', 'point_count'],
+            paint: {
+                'circle-color': '#12122a',
+                'circle-opacity': 0.9,
+                'circle-radius': ['step', ['get', 'point_count'], 20, 10, 24, 100, 30],
+                'circle-stroke-width': 3,
+                // Outline in the color of the busiest status
+                'circle-stroke-color': ['case',
+                    ['>', ['get', 'moving'], 0], this.deviceColors.moving,
+                    ['>', ['get', 'stopped'], 0], this.deviceColors.stopped,
+                    ['>', ['get', 'stale'], 0], this.deviceColors.stale,
+                    this.deviceColors.offline
+                ]
+            }
+        });
+
+        // Total on top, "moving stopped stale offline" counts in their colors below
+        const statusCount = (status) => [
+            ['to-string', ['get', status]], { 'font-scale': 0.65, 'text-color': this.deviceColors[status] }
+        ];
+        this.map.addLayer({
+            id: 'device-cluster-count',
+            type: 'symbol',
+            source: this.devicesSourceId,
+            filter: ['has', 'point_count'],
+            layout: {
+                'text-field': ['format',
+                    ['get', 'point_count_abbreviated'], { 'font-scale': 1 },
+                    '\n', {},
+                    ...statusCount('moving'), ' ', {},
+                    ...statusCount('stopped'), ' ', {},
+                    ...statusCount('stale'), ' ', {},
+                    ...statusCount('offline')
+                ],
+                'text-size': 13,
+                'text-line-height': 1.1,
+                'text-allow-overlap': true
+            },
+            paint: {
+                'text-color': '#ffffff'
+            }
+        });
+
+        // Moving devices point where they are heading, just outside their icon
+        this.map.addLayer({
+            id: 'device-heading',
+            type: 'symbol',
+            source: this.devicesSourceId,
+            filter: ['all', ['!', ['has', 'point_count']], ['==', ['get', 'status'], 'moving']],
+            layout: {
+                'icon-image': 'device-heading',
+                'icon-rotate': ['get', 'course'],
+                'icon-rotation-alignment': 'map',
+                'icon-offset': [0, -17],
+                'icon-allow-overlap': true,
+                'icon-ignore-placement': true
+            },
+            paint: {
+                'icon-color': this.deviceColors.moving
+            }
+        });
+
+        this.map.addLayer({
+            id: 'device-icons',
+            type: 'symbol',
+            source: this.devicesSourceId,
+            filter: ['!', ['has', 'point_count']],
+            layout: {
+                'icon-image': ['get', 'icon'],
+                'icon-allow-overlap': true,
+                'icon-ignore-placement': true
+            },
+            paint: {
+                // Stale positions are dimmed: the vehicle is probably no longer there
+                'icon-opacity': ['case', ['==', ['get', 'status'], 'stale'], 0.55, 1]
+            }
+        });
+
+        // Names only in LIVE mode; overlapping ones are hidden by Mapbox
+        this.map.addLayer({
+            id: 'device-labels',
+            type: 'symbol',
+            source: this.devicesSourceId,
+            filter: ['!', ['has', 'point_count']],
+            layout: {
+                'visibility': this.liveMode ? 'visible' : 'none',
+                'text-field': ['get', 'name'],
+                'text-size': 11,
+                'text-anchor': 'bottom',
+                'text-offset': [0, -1.6],
+                'text-padding': 4
+            },
+            paint: {
+                'text-color': '#ffffff',
+                'text-halo-color': 'rgba(0, 0, 0, 0.85)',
+                'text-halo-width': 1.5
+            }
+        });
+
+        // Clusters zoom in, devices open their info card
+        this.map.on('click', 'device-clusters', (e) => {
+            const feature = e.features[0];
+            this.map.getSource(this.devicesSourceId).getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+                if (error) return;
+                this.map.easeTo({ center: feature.geometry.coordinates, zoom });
+            });
+        });
+        this.map.on('click', 'device-icons', (e) => {
+            this.showInfoCard(e.features[0].properties.deviceId);
+        });
+        ['device-clusters', 'device-icons'].forEach(layerId => {
+            this.map.on('mouseenter', layerId, () => this.map.getCanvas().style.cursor = 'pointer');
+            this.map.on('mouseleave', layerId, () => this.map.getCanvas().style.cursor = '');
+        });
     },
 
     /**
-     * Update marker element appearance
+     * Draw and register a device icon from its id "device:<category>:<color>:<status color>:<moving|parked>"
+     *
+     * The icon does not rotate: the category glyph stays upright and the heading layer shows the direction.
+     * Parked vehicles get a solid white ring instead of the status halo.
      */
-    _updateMarkerElement(el, position, device) {
-        const isMoving = position.speed > 1;
-        const rotation = position.course || 0;
-        const isOnline = device && device.status === 'online';
-
-        // Color based on status
-        let color = '#888';  // offline
-        if (isOnline) {
-            color = isMoving ? '#00d4ff' : '#00ff88';  // moving: cyan, stopped: green
+    _addDeviceIcon(id) {
+        const [, category, color, statusColor, motion] = id.split(':');
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(2, 2);
+
+        if (motion === 'moving') {
+            ctx.fillStyle = statusColor;
+            ctx.globalAlpha = 0.3;
+            ctx.beginPath();
+            ctx.arc(16, 16, 15, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
         }
 
-        el.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 32 32" style="transform: rotate(${rotation}deg)">
-                <circle cx="16" cy="16" r="14" fill="${color}" opacity="0.2"/>
-                <circle cx="16" cy="16" r="10" fill="${color}"/>
-                <path d="M16 6 L22 22 L16 18 L10 22 Z" fill="white"/>
-            </svg>
-        `;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(16, 16, 11, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Ring in the status color, so a custom-colored device still shows its status
+        ctx.lineWidth = motion === 'moving' ? 2 : 3;
+        ctx.strokeStyle = motion === 'moving' ? statusColor : '#ffffff';
+        ctx.stroke();
+        if (motion !== 'moving' && color !== statusColor) {
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = statusColor;
+            ctx.beginPath();
+            ctx.arc(16, 16, 13.5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.font = '13px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(CONFIG.DEVICE_ICONS[category], 16, 17);
+
+        this.map.addImage(id, ctx.getImageData(0, 0, 64, 64), { pixelRatio: 2 });
     },
 
     /**
-     * Create a label above the marker
+     * Heading pointer (a chevron pointing north, rotated by the layer) as an SDF image
      */
-    _createMarkerLabel(deviceId, lngLat, name) {
-        const labelEl = document.createElement('div');
-        labelEl.className = 'marker-label';
-        labelEl.textContent = name;
-        labelEl.style.display = this.liveMode ? 'block' : 'none';
+    _createHeadingIcon() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 24;
+        canvas.height = 24;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(2, 2);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.moveTo(6, 2);
+        ctx.lineTo(11, 10);
+        ctx.lineTo(6, 8);
+        ctx.lineTo(1, 10);
+        ctx.closePath();
+        ctx.fill();
+
+        return ctx.getImageData(0, 0, 24, 24);
+    },
 
-        const labelMarker = new mapboxgl.Marker({ element: labelEl, anchor: 'bottom', offset: [0, -25] })
-            .setLngLat(lngLat)
-            .addTo(this.map);
+    /**
+     * Fill the status legend from the marker colors
+     */
+    _renderLegend() {
+        const container = document.getElementById('deviceLegendItems');
+        if (!container) return;
+
+        const items = [
+            ['moving', 'Đang chạy - mũi tên chỉ hướng đi'],
+            ['stopped', 'Đứng yên - viền trắng, không chỉ hướng'],
+            ['stale', 'Không cập nhật - vị trí cũ, hiển thị mờ'],
+            ['offline', 'Offline']
+        ];
 
-        this.markerLabels[deviceId] = { el: labelEl, marker: labelMarker };
+        container.innerHTML = items.map(([status, label]) => `
+            <div class="legend-item">
+                <span class="legend-dot" style="background:${this.deviceColors[status]}"></span> ${label}
+            </div>
+        `).join('') + `
+            <div class="legend-item">
+                <span class="legend-dot legend-cluster"></span> Cụm xe - số xe theo từng màu, bấm để phóng to
+            </div>
+            <div class="legend-item legend-note">Màu nền riêng của xe: thuộc tính <code>color</code> trên Traccar</div>
+        `;
     },
 
     /**
@@ -431,6 +862,7 @@ const MapManager = {
 
         this.selectedDeviceId = deviceId;
         this.todayKm = null;  // Reset today's km
+        if (this.deviceFilter) this._refreshDevices();
 
         // Exit LIVE mode when selecting a device
         if (this.liveMode && typeof App !== 'undefined') {
@@ -448,6 +880,10 @@ const MapManager = {
             card.style.display = 'block';
             this.updateInfoCard();
             this._fetchTodayKm(deviceId);  // Fetch today's km asynchronously
+
+            if (typeof CommandManager !== 'undefined') {
+                CommandManager.load(deviceId);
+            }
         }
     },
 
@@ -467,25 +903,10 @@ const MapManager = {
             const to = now.toISOString();
 
             // Fetch positions for today
-            const response = await fetch(`/api/reports/route?deviceId=${deviceId}&from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+            const positions = await API.getRouteHistory(deviceId, from, to);
 
-            if (!response.ok) {
-                throw new Error('Failed to fetch positions');
-            }
-
-            const positions = await response.json();
-
-            // Calculate total distance
-            let totalKm = 0;
-            if (positions.length > 1) {
-                for (let i = 1; i < positions.length; i++) {
-                    const dist = this._calculateDistance(
-                        positions[i - 1].latitude, positions[i - 1].longitude,
-                        positions[i].latitude, positions[i].longitude
-                    );
-                    totalKm += dist;
-                }
-            }
+            // Same noise filtering as the history stats
+            const totalKm = Trajectory.distance(positions);
 
             // Update display if still showing the same device
             if (this.selectedDeviceId === deviceId && kmEl) {
@@ -500,20 +921,6 @@ const MapManager = {
         }
     },
 
-    /**
-     * Calculate distance between two coordinates in km (Haversine formula)
-     */
-    _calculateDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371; // Earth's radius in km
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-    },
-
     // Debounced refetch for today's km (every 30 seconds max)
     _refetchKmTimeout: null,
     _lastKmFetch: 0,
@@ -546,7 +953,7 @@ const MapManager = {
         if (!device || !position) return;
 
         const speed = (position.speed * 1.852).toFixed(1);
-        const isOnline = device.status === 'online';
+        const state = DeviceManager.deviceState(device, position);
 
         // Format time with DD/MM
         const date = new Date(position.deviceTime);
@@ -559,10 +966,11 @@ const MapManager = {
         const uptime = this._formatUptime(position.attributes?.uptime);
 
         document.getElementById('infoCardName').textContent = device.name;
+        document.getElementById('infoCardIcon').textContent = CONFIG.DEVICE_ICONS[device.category] || CONFIG.DEVICE_ICONS.default;
 
         const statusEl = document.getElementById('infoCardStatus');
-        statusEl.textContent = isOnline ? 'Online' : 'Offline';
-        statusEl.className = 'info-card-status ' + (isOnline ? 'online' : 'offline');
+        statusEl.textContent = { offline: 'Offline', stale: 'Không cập nhật' }[state] || 'Online';
+        statusEl.className = 'info-card-status ' + (state === 'offline' || state === 'stale' ? state : 'online');
 
         document.getElementById('infoCardSpeed').textContent = `${speed} km/h`;
         document.getElementById('infoCardCoords').textContent = `${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)}`;
@@ -570,7 +978,7 @@ const MapManager = {
         document.getElementById('infoCardOperator').textContent = operator;
         document.getElementById('infoCardSignal').textContent = signal;
         document.getElementById('infoCardUptime').textContent = uptime;
-        document.getElementById('infoCardTime').textContent = time;
+        document.getElementById('infoCardTime').textContent = `${time} (${DeviceManager.formatLastSeen(device.id).toLowerCase()})`;
     },
 
     /**
@@ -608,6 +1016,7 @@ const MapManager = {
      */
     hideInfoCard() {
         this.selectedDeviceId = null;
+        if (this.deviceFilter) this._refreshDevices();
         const card = document.getElementById('deviceInfoCard');
         if (card) {
             card.style.display = 'none';
@@ -628,9 +1037,9 @@ const MapManager = {
      * Focus on a specific device with mobile-aware positioning
      */
     focusDevice(deviceId) {
-        const marker = this.markers[deviceId];
-        if (marker) {
-            const lngLat = marker.getLngLat();
+        const feature = this.deviceFeatures[deviceId];
+        if (feature) {
+            const lngLat = feature.geometry.coordinates;
 
             if (this._isMobile()) {
                 // On mobile, offset the center so marker appears in upper half
@@ -660,6 +1069,31 @@ const MapManager = {
         }
     },
 
+    /**
+     * Fly to where an event happened and label the spot
+     */
+    showEventLocation(position, title) {
+        const lngLat = [position.longitude, position.latitude];
+
+        // Title may contain user-entered names - set as text
+        const content = document.createElement('div');
+        content.className = 'event-popup';
+        content.textContent = title;
+        const time = document.createElement('small');
+        time.textContent = this._formatDateTime(new Date(position.fixTime));
+        content.append(document.createElement('br'), time);
+
+        this.map.flyTo({ center: lngLat, zoom: 16, duration: 1000 });
+        this.popup
+            .setLngLat(lngLat)
+            .setDOMContent(content)
+            .addTo(this.map);
+
+        // The shared popup is not closed on map clicks - remove it after a while
+        clearTimeout(this._eventPopupTimeout);
+        this._eventPopupTimeout = setTimeout(() => this.popup.remove(), 10000);
+    },
+
     /**
      * Fit map to show all online markers with appropriate zoom level
      */
@@ -667,12 +1101,7 @@ const MapManager = {
         // Reset bounds and rebuild from current online markers only
         this.bounds = new mapboxgl.LngLatBounds();
 
-        Object.entries(this.markers).forEach(([deviceId, marker]) => {
-            const device = typeof DeviceManager !== 'undefined' ? DeviceManager.devices[deviceId] : null;
-            if (device && device.status === 'online') {
-                this.bounds.extend(marker.getLngLat());
-            }
-        });
+        this._onlineDeviceCoordinates().forEach(lngLat => this.bounds.extend(lngLat));
 
         if (!this.bounds.isEmpty()) {
             this.map.fitBounds(this.bounds, {
@@ -823,6 +1252,71 @@ const MapManager = {
         this._dashOffset = 0;
     },
 
+    /**
+     * Dim the route outside the positions from..to (null shows the whole route)
+     */
+    isolateRouteRange(from, to) {
+        if (!this.map || !this.map.getLayer(this.routeLayerId)) return;
+
+        // Segment features carry the index of their end position
+        const inRange = ['all', ['>', ['get', 'index'], from], ['<=', ['get', 'index'], to]];
+        this.map.setPaintProperty(this.routeLayerId, 'line-opacity', from === null ? 1 : ['case', inRange, 1, 0.15]);
+        this.map.setPaintProperty('route-layer-animated', 'line-opacity', from === null ? 0.6 : ['case', inRange, 0.6, 0]);
+    },
+
+    /**
+     * Show the imported planned route ([[lng, lat], ...] lines, empty to remove it)
+     */
+    setPlannedRoute(lines) {
+        this._setLines(this.plannedSourceId, lines);
+    },
+
+    /**
+     * Mark the parts of the history route that left the plan
+     */
+    setOffRouteSections(lines) {
+        this._setLines(this.offRouteSourceId, lines);
+    },
+
+    /**
+     * Show the live trails (line features with color and fade properties)
+     */
+    setTrails(features) {
+        const source = this.map && this.map.getSource(this.trailSourceId);
+        if (source) source.setData({ type: 'FeatureCollection', features });
+    },
+
+    _setLines(sourceId, lines) {
+        const source = this.map && this.map.getSource(sourceId);
+        if (!source) return;
+
+        source.setData({
+            type: 'FeatureCollection',
+            features: lines.map(coordinates => ({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates },
+                properties: {}
+            }))
+        });
+    },
+
+    /**
+     * Highlight one position of the route (null clears it)
+     */
+    highlightRoutePoint(position) {
+        const source = this.map && this.map.getSource(this.routeHighlightSourceId);
+        if (!source) return;
+
+        source.setData({
+            type: 'FeatureCollection',
+            features: position ? [{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [position.longitude, position.latitude] },
+                properties: {}
+            }] : []
+        });
+    },
+
     /**
      * Add route start/end marker
      */
@@ -871,13 +1365,9 @@ const MapManager = {
      * Remove a marker
      */
     removeMarker(deviceId) {
-        if (this.markers[deviceId]) {
-            this.markers[deviceId].remove();
-            delete this.markers[deviceId];
-        }
-        if (this.markerLabels[deviceId]) {
-            this.markerLabels[deviceId].marker.remove();
-            delete this.markerLabels[deviceId];
+        if (this.deviceFeatures[deviceId]) {
+            delete this.deviceFeatures[deviceId];
+            this._refreshDevices();
         }
     },
 
@@ -978,6 +1468,49 @@ const MapManager = {
         });
     },
 
+    /**
+     * Fill the follow path with positions missed while the WebSocket was down
+     */
+    async backfillFollowPath(to) {
+        const deviceId = this.followDeviceId;
+        const last = this.followPositions[this.followPositions.length - 1];
+        if (!this.followMode || !last) return;
+
+        const from = new Date(last.deviceTime);
+        if (isNaN(from.getTime()) || from >= new Date(to)) return;
+
+        try {
+            const positions = await API.getRouteHistory(deviceId, from.toISOString(), to);
+
+            // Follow may have stopped or switched device while loading
+            if (!this.followMode || this.followDeviceId !== deviceId) return;
+
+            this._mergeFollowPositions(positions);
+            console.log(`🧩 Backfilled ${positions.length} follow positions`);
+        } catch (error) {
+            console.error('Failed to backfill follow path:', error);
+        }
+    },
+
+    /**
+     * Splice positions into the follow path in time order, skipping duplicates
+     */
+    _mergeFollowPositions(positions) {
+        const byTime = new Map();
+        this.followPositions.concat(positions.map(p => ({
+            latitude: p.latitude,
+            longitude: p.longitude,
+            speed: p.speed,
+            deviceTime: p.deviceTime
+        }))).forEach(p => byTime.set(new Date(p.deviceTime).getTime(), p));
+
+        this.followPositions = [...byTime.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([, p]) => p);
+
+        this._drawFollowPath();
+    },
+
     /**
      * Draw the follow path polyline
      */
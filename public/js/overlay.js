@@ -0,0 +1,413 @@
+/**
+ * Overlay module - Imports a planned route (GPX, KML, GeoJSON) and compares the history route to it
+ */
+const OverlayManager = {
+    name: null,           // File name of the plan
+    lines: [],            // Planned lines as [[lng, lat], ...]
+    report: null,         // Deviation of the loaded route from the plan
+    panelOpen: false,
+
+    /**
+     * Add the map control and bind the panel
+     */
+    init() {
+        const map = MapManager.map;
+        if (!map) return;
+
+        map.addControl(this._createToggleControl(), 'top-right');
+
+        const input = document.getElementById('overlayFile');
+        input?.addEventListener('change', () => {
+            if (input.files[0]) this.loadFile(input.files[0]);
+            input.value = '';
+        });
+
+        document.getElementById('overlayPick')?.addEventListener('click', () => input?.click());
+        document.getElementById('overlayRemove')?.addEventListener('click', () => this.clear());
+        document.getElementById('overlayPanelClose')?.addEventListener('click', () => this.togglePanel(false));
+
+        // Off-route sections in the report jump to their place on the map
+        document.getElementById('overlayReport')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.overlay-section');
+            if (item) this._focusSection(parseInt(item.dataset.index));
+        });
+
+        this._render();
+    },
+
+    /**
+     * Map control button that opens the planned route panel
+     */
+    _createToggleControl() {
+        return {
+            onAdd: () => {
+                const container = document.createElement('div');
+                container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group';
+                container.innerHTML = `
+                    <button type="button" class="geofence-ctrl" title="Tuyến kế hoạch">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 17l6-6 4 4 8-8"/>
+                            <polyline points="14 7 21 7 21 14"/>
+                        </svg>
+                    </button>
+                `;
+                container.querySelector('button').addEventListener('click', () => this.togglePanel());
+                return container;
+            },
+            onRemove: () => {}
+        };
+    },
+
+    /**
+     * Open or close the planned route panel (it shares its corner with the trips panel)
+     */
+    togglePanel(open = !this.panelOpen) {
+        this.panelOpen = open;
+        const panel = document.getElementById('overlayPanel');
+        if (panel) panel.style.display = open ? 'flex' : 'none';
+        if (open) TripManager.togglePanel(false);
+    },
+
+    /**
+     * Read a plan file and show it on the map
+     */
+    async loadFile(file) {
+        try {
+            const lines = this.parse(await file.text(), file.name);
+            if (lines.length === 0) {
+                alert('Không tìm thấy tuyến đường nào trong file');
+                return;
+            }
+
+            this.name = file.name;
+            this.lines = lines;
+            MapManager.setPlannedRoute(lines);
+            console.log(`🧭 Loaded planned route ${file.name} (${lines.length} lines)`);
+
+            // Without a history route, show where the plan is
+            if (HistoryManager.routePositions.length === 0) {
+                const bounds = new mapboxgl.LngLatBounds();
+                lines.forEach(line => line.forEach(coord => bounds.extend(coord)));
+                MapManager.map.fitBounds(bounds, { padding: 50 });
+            }
+
+            this.compare(HistoryManager.routePositions);
+        } catch (error) {
+            console.error('Failed to read planned route:', error);
+            alert('Không đọc được file. Hỗ trợ GPX, KML và GeoJSON.');
+        }
+    },
+
+    /**
+     * Remove the plan
+     */
+    clear() {
+        this.name = null;
+        this.lines = [];
+        this.report = null;
+        MapManager.setPlannedRoute([]);
+        MapManager.setOffRouteSections([]);
+        this._render();
+    },
+
+    /**
+     * Lines of a GPX, KML or GeoJSON document as [[lng, lat], ...]
+     */
+    parse(text, fileName = '') {
+        const extension = fileName.split('.').pop().toLowerCase();
+        const trimmed = text.trim();
+
+        if (extension === 'geojson' || extension === 'json' || trimmed.startsWith('{')) {
+            return this._parseGeoJson(JSON.parse(trimmed));
+        }
+
+        const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XML');
+        }
+
+        const root = doc.documentElement.localName;
+        if (root === 'gpx') return this._parseGpx(doc);
+        if (root === 'kml') return this._parseKml(doc);
+        throw new Error(`Unsupported document <${root}>`);
+    },
+
+    _parseGpx(doc) {
+        const lines = [];
+        const read = (points) => [...points].map(p => [parseFloat(p.getAttribute('lon')), parseFloat(p.getAttribute('lat'))]);
+
+        [...doc.getElementsByTagName('trkseg')].forEach(segment => lines.push(read(segment.getElementsByTagName('trkpt'))));
+        [...doc.getElementsByTagName('rte')].forEach(route => lines.push(read(route.getElementsByTagName('rtept'))));
+
+        return this._validLines(lines);
+    },
+
+    _parseKml(doc) {
+        const lines = [];
+
+        // "lng,lat[,alt] lng,lat[,alt] ..."
+        [...doc.getElementsByTagName('LineString')].forEach(lineString => {
+            const coordinates = lineString.getElementsByTagName('coordinates')[0]?.textContent || '';
+            lines.push(coordinates.trim().split(/\s+/).map(tuple => tuple.split(',').slice(0, 2).map(parseFloat)));
+        });
+
+        // Google Earth tracks: <gx:coord>lng lat alt</gx:coord>
+        [...doc.getElementsByTagNameNS('*', 'Track')].forEach(track => {
+            lines.push([...track.getElementsByTagNameNS('*', 'coord')]
+                .map(coord => coord.textContent.trim().split(/\s+/).slice(0, 2).map(parseFloat)));
+        });
+
+        return this._validLines(lines);
+    },
+
+    _parseGeoJson(data) {
+        const lines = [];
+
+        const visit = (geometry) => {
+            if (!geometry) return;
+            if (geometry.type === 'LineString') lines.push(geometry.coordinates);
+            if (geometry.type === 'MultiLineString') lines.push(...geometry.coordinates);
+            if (geometry.type === 'GeometryCollection') geometry.geometries.forEach(visit);
+        };
+
+        if (data.type === 'FeatureCollection') {
+            data.features.forEach(feature => visit(feature.geometry));
+        } else if (data.type === 'Feature') {
+            visit(data.geometry);
+        } else {
+            visit(data);
+        }
+
+        return this._validLines(lines.map(line => line.map(coord => coord.slice(0, 2))));
+    },
+
+    _validLines(lines) {
+        return lines
+            .map(line => line.filter(([lng, lat]) => isFinite(lng) && isFinite(lat)))
+            .filter(line => line.length >= 2);
+    },
+
+    /**
+     * Measure how a route follows the plan:
+     * - maxDistance: farthest position from the planned line (km)
+     * - sections: runs of positions farther than OVERLAY_TOLERANCE
+     * - coverage: share of the planned length passed within OVERLAY_TOLERANCE (0-1)
+     */
+    compare(positions) {
+        this.report = null;
+        MapManager.setOffRouteSections([]);
+
+        if (this.lines.length === 0 || positions.length < 2) {
+            this._render();
+            return;
+        }
+
+        const tolerance = CONFIG.OVERLAY_TOLERANCE / 1000;
+        const route = Trajectory.clean(positions);
+        const project = this._projection(route[0]?.latitude ?? positions[0].latitude);
+
+        // Plan segments and route segments in km, indexed by grid cell
+        const planSegments = this.lines.flatMap(line => this._segments(line.map(([lng, lat]) => project(lng, lat))));
+        const planIndex = this._gridIndex(planSegments, tolerance);
+        const routePoints = route.map(p => project(p.longitude, p.latitude));
+        const routeIndex = this._gridIndex(this._segments(routePoints), tolerance);
+
+        // Distance of every position from the plan, and the runs away from it
+        let maxDistance = 0;
+        const sections = [];
+        let section = null;
+
+        route.forEach((position, i) => {
+            // Positions near the plan only need the nearby segments
+            let distance = this._nearestDistance(routePoints[i], planIndex, tolerance);
+            if (distance > tolerance) distance = this._nearestDistance(routePoints[i], null, Infinity, planSegments);
+
+            maxDistance = Math.max(maxDistance, distance);
+
+            if (distance > tolerance) {
+                if (!section) section = { start: i, end: i, maxDistance: 0 };
+                section.end = i;
+                section.maxDistance = Math.max(section.maxDistance, distance);
+            } else if (section) {
+                sections.push(section);
+                section = null;
+            }
+        });
+        if (section) sections.push(section);
+
+        // Walk the plan in short steps and check the route passed each one
+        let planLength = 0;
+        let covered = 0;
+        const step = tolerance / 2;
+        planSegments.forEach(([a, b]) => {
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+            const pieces = Math.max(1, Math.ceil(length / step));
+            for (let k = 0; k < pieces; k++) {
+                const t = (k + 0.5) / pieces;
+                const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+                if (this._nearestDistance(point, routeIndex, tolerance) <= tolerance) covered += length / pieces;
+            }
+            planLength += length;
+        });
+
+        this.report = {
+            maxDistance,
+            coverage: planLength > 0 ? covered / planLength : 0,
+            sections: sections.map(s => ({
+                startTime: route[s.start].deviceTime,
+                endTime: route[s.end].deviceTime,
+                maxDistance: s.maxDistance,
+                // Include the last on-route points so the highlight connects to the route
+                coordinates: route.slice(Math.max(0, s.start - 1), s.end + 2).map(p => [p.longitude, p.latitude])
+            }))
+        };
+
+        MapManager.setOffRouteSections(this.report.sections.map(s => s.coordinates));
+        this._render();
+    },
+
+    /**
+     * Equirectangular projection to km around a latitude - accurate enough at city/country scale
+     */
+    _projection(lat0) {
+        const kx = 111.32 * Math.cos(lat0 * Math.PI / 180);
+        const ky = 110.574;
+        return (lng, lat) => [lng * kx, lat * ky];
+    },
+
+    _segments(points) {
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            segments.push([points[i - 1], points[i]]);
+        }
+        return segments;
+    },
+
+    /**
+     * Segments by grid cell (cells of `size` km), so lookups within `size` check 3x3 cells
+     *
+     * A segment goes only into the cells along it (sampled every half cell, widened by one
+     * cell so corners cut between samples are not missed) - not its whole bounding box,
+     * which for a long diagonal leg of a sparse plan or a GPS gap would be millions of cells.
+     */
+    _gridIndex(segments, size) {
+        const cells = new Map();
+        segments.forEach(segment => {
+            const [a, b] = segment;
+            const steps = Math.max(1, Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / (size / 2)));
+            const keys = new Set();
+
+            for (let i = 0; i <= steps; i++) {
+                const cx = Math.floor((a[0] + (b[0] - a[0]) * i / steps) / size);
+                const cy = Math.floor((a[1] + (b[1] - a[1]) * i / steps) / size);
+                for (let x = cx - 1; x <= cx + 1; x++) {
+                    for (let y = cy - 1; y <= cy + 1; y++) {
+                        keys.add(`${x}:${y}`);
+                    }
+                }
+            }
+
+            keys.forEach(key => {
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(segment);
+            });
+        });
+        return { cells, size };
+    },
+
+    /**
+     * Distance (km) from a point to the nearest segment - of the grid cells around it,
+     * or of a plain list when no index is given. Infinity when nothing is in reach.
+     */
+    _nearestDistance(point, index, reach, segments = null) {
+        let candidates = segments;
+        if (index) {
+            candidates = [];
+            const cx = Math.floor(point[0] / index.size);
+            const cy = Math.floor(point[1] / index.size);
+            for (let x = cx - 1; x <= cx + 1; x++) {
+                for (let y = cy - 1; y <= cy + 1; y++) {
+                    const cell = index.cells.get(`${x}:${y}`);
+                    if (cell) candidates.push(...cell);
+                }
+            }
+        }
+
+        let nearest = Infinity;
+        candidates.forEach(([a, b]) => {
+            nearest = Math.min(nearest, this._segmentDistance(point, a, b));
+        });
+        return nearest <= reach ? nearest : Infinity;
+    },
+
+    _segmentDistance(p, a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq)) : 0;
+        return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+    },
+
+    _focusSection(index) {
+        const section = this.report?.sections[index];
+        if (!section) return;
+
+        const bounds = new mapboxgl.LngLatBounds();
+        section.coordinates.forEach(coord => bounds.extend(coord));
+        MapManager.map.fitBounds(bounds, { padding: 80, maxZoom: 16 });
+    },
+
+    _render() {
+        const fileEl = document.getElementById('overlayFileName');
+        if (fileEl) fileEl.textContent = this.name || 'Chưa có tuyến kế hoạch';
+        document.getElementById('overlayRemove')?.toggleAttribute('disabled', !this.name);
+
+        const reportEl = document.getElementById('overlayReport');
+        if (!reportEl) return;
+
+        if (!this.name) {
+            reportEl.innerHTML = '<div class="overlay-hint">Tải lên file GPX, KML hoặc GeoJSON vẽ từ công cụ khác để so sánh với lộ trình thực tế.</div>';
+            return;
+        }
+        if (!this.report) {
+            reportEl.innerHTML = '<div class="overlay-hint">Xem một lộ trình để so sánh với kế hoạch.</div>';
+            return;
+        }
+
+        const { maxDistance, coverage, sections } = this.report;
+        reportEl.innerHTML = `
+            <div class="history-stats-grid">
+                <div class="history-stat">
+                    <div class="history-stat-value">${Math.round(coverage * 100)}%</div>
+                    <div class="history-stat-label">Kế hoạch đã đi</div>
+                </div>
+                <div class="history-stat">
+                    <div class="history-stat-value">${this._formatDistance(maxDistance)}</div>
+                    <div class="history-stat-label">Lệch xa nhất</div>
+                </div>
+            </div>
+            <div class="overlay-sections-title">
+                ${sections.length > 0 ? `${sections.length} đoạn đi ngoài tuyến (> ${CONFIG.OVERLAY_TOLERANCE} m)` : 'Không có đoạn nào đi ngoài tuyến'}
+            </div>
+            ${sections.map((s, i) => `
+                <div class="overlay-section" data-index="${i}">
+                    <span>${this._formatTime(s.startTime)} → ${this._formatTime(s.endTime)}</span>
+                    <span class="overlay-section-distance">${this._formatDistance(s.maxDistance)}</span>
+                </div>
+            `).join('')}
+        `;
+    },
+
+    _formatDistance(km) {
+        return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+    },
+
+    /**
+     * Format a time as HH:mm DD/MM
+     */
+    _formatTime(time) {
+        const date = new Date(time);
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())} ${pad(date.getDate())}/${pad(date.getMonth() + 1)}`;
+    }
+};
@@ -0,0 +1,285 @@
+/**
+ * Playback module - Replays a loaded history route with a timeline scrubber
+ */
+const PlaybackManager = {
+    positions: [],
+    times: [],           // deviceTime of each position in ms
+    stops: [],
+    marker: null,
+    time: 0,             // Current playback time in ms
+    speed: 1,            // Playback rate (1x = real time)
+    playing: false,
+    follow: false,
+    _frame: null,
+    _lastFrame: null,
+    _bearing: 0,
+    _dragging: false,
+
+    /**
+     * Bind the playback bar
+     */
+    init() {
+        const speedSelect = document.getElementById('playbackSpeed');
+        if (speedSelect) {
+            speedSelect.innerHTML = CONFIG.PLAYBACK_SPEEDS
+                .map(speed => `<option value="${speed}">${speed}x</option>`)
+                .join('');
+            speedSelect.value = this.speed;
+            speedSelect.addEventListener('change', (e) => {
+                this.speed = parseInt(e.target.value);
+            });
+        }
+
+        // Export menu - the first option is its title
+        document.getElementById('playbackExport')?.addEventListener('change', (e) => {
+            if (e.target.value) HistoryManager.exportRoute(e.target.value);
+            e.target.value = '';
+        });
+
+        document.getElementById('playbackToggle')?.addEventListener('click', () => this.toggle());
+        document.getElementById('playbackClose')?.addEventListener('click', () => HistoryManager.clearRoute());
+
+        document.getElementById('playbackFollow')?.addEventListener('change', (e) => {
+            this.follow = e.target.checked;
+            if (this.follow) this._render();
+        });
+
+        // Dragging the timeline pauses until it is released
+        const timeline = document.getElementById('playbackTimeline');
+        if (timeline) {
+            let resume = false;
+            timeline.addEventListener('pointerdown', () => {
+                this._dragging = true;
+                resume = this.playing;
+                this.pause();
+            });
+            timeline.addEventListener('input', () => {
+                this.seek(this.times[0] + (this.times[this.times.length - 1] - this.times[0]) * timeline.value / 1000);
+            });
+            const release = () => {
+                if (!this._dragging) return;
+                this._dragging = false;
+                if (resume) this.play();
+                resume = false;
+            };
+            timeline.addEventListener('change', release);
+            timeline.addEventListener('pointerup', release);
+        }
+    },
+
+    /**
+     * Show the bar for a freshly drawn route, ready at its start
+     */
+    load(positions, stops = []) {
+        this.unload();
+        if (positions.length < 2) return;
+
+        this.positions = positions;
+        this.times = positions.map(p => new Date(p.deviceTime).getTime());
+        this.stops = stops;
+        this._bearing = 0;
+
+        const el = document.createElement('div');
+        el.className = 'playback-marker';
+        el.innerHTML = `
+            <svg width="28" height="28" viewBox="0 0 24 24">
+                <path d="M12 2 L20 21 L12 16 L4 21 Z" stroke="#fff" stroke-width="1.5" stroke-linejoin="round"/>
+            </svg>
+        `;
+        this.marker = new mapboxgl.Marker({ element: el, rotationAlignment: 'map', pitchAlignment: 'map' })
+            .setLngLat([positions[0].longitude, positions[0].latitude])
+            .addTo(MapManager.map);
+
+        document.getElementById('playbackBar')?.classList.add('active');
+        document.querySelector('.map-container')?.classList.add('playback-active');
+
+        this.seek(this.times[0]);
+    },
+
+    /**
+     * Stop and hide the playback (the route was cleared or replaced)
+     */
+    unload() {
+        this.pause();
+        if (this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        this.positions = [];
+        this.times = [];
+        this.stops = [];
+
+        document.getElementById('playbackBar')?.classList.remove('active');
+        document.querySelector('.map-container')?.classList.remove('playback-active');
+    },
+
+    toggle() {
+        this.playing ? this.pause() : this.play();
+    },
+
+    play() {
+        if (this.playing || this.positions.length < 2) return;
+
+        // Play again from the start once the end is reached
+        if (this.time >= this.times[this.times.length - 1]) {
+            this.seek(this.times[0]);
+        }
+
+        this.playing = true;
+        this._lastFrame = null;
+        this._updateToggle();
+        this._frame = requestAnimationFrame((now) => this._tick(now));
+    },
+
+    pause() {
+        this.playing = false;
+        if (this._frame) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+        this._updateToggle();
+    },
+
+    /**
+     * Jump to a time of the route
+     */
+    seek(time) {
+        this.time = Math.max(this.times[0], Math.min(time, this.times[this.times.length - 1]));
+        this._render();
+    },
+
+    /**
+     * Advance by the real time elapsed since the last frame, times the speed
+     */
+    _tick(now) {
+        if (!this.playing) return;
+
+        if (this._lastFrame !== null) {
+            this.time += (now - this._lastFrame) * this.speed;
+        }
+        this._lastFrame = now;
+
+        const end = this.times[this.times.length - 1];
+        if (this.time >= end) {
+            this.time = end;
+            this._render();
+            this.pause();
+            return;
+        }
+
+        this._render();
+        this._frame = requestAnimationFrame((next) => this._tick(next));
+    },
+
+    /**
+     * Move the marker and refresh the bar for the current time
+     */
+    _render() {
+        if (!this.marker) return;
+
+        const index = this._indexAt(this.time);
+        const from = this.positions[index];
+        const to = this.positions[Math.min(index + 1, this.positions.length - 1)];
+        const span = this.times[index + 1] - this.times[index];
+        const ratio = span > 0 ? Math.min(1, (this.time - this.times[index]) / span) : 0;
+
+        const lng = from.longitude + (to.longitude - from.longitude) * ratio;
+        const lat = from.latitude + (to.latitude - from.latitude) * ratio;
+
+        // Keep the last heading while the vehicle stands still
+        if (from.latitude !== to.latitude || from.longitude !== to.longitude) {
+            this._bearing = HistoryManager._calculateBearing(from.latitude, from.longitude, to.latitude, to.longitude);
+        }
+
+        this.marker.setLngLat([lng, lat]).setRotation(this._bearing);
+
+        if (this.follow) {
+            MapManager.map.setCenter([lng, lat]);
+        }
+
+        if (typeof ChartManager !== 'undefined') {
+            ChartManager.setTime(this.time);
+        }
+
+        const speed = (from.speed + (to.speed - from.speed) * ratio) * 1.852;
+        this._updateBar(speed, lat, lng);
+    },
+
+    /**
+     * Index of the last position at or before a time (binary search)
+     */
+    _indexAt(time) {
+        let low = 0;
+        let high = this.times.length - 2;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.times[mid] <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
+    },
+
+    _updateBar(speed, lat, lng) {
+        const start = this.times[0];
+        const total = this.times[this.times.length - 1] - start;
+
+        const timeline = document.getElementById('playbackTimeline');
+        if (timeline && !this._dragging) {
+            timeline.value = total > 0 ? Math.round((this.time - start) / total * 1000) : 0;
+        }
+
+        const timeEl = document.getElementById('playbackTime');
+        if (timeEl) timeEl.textContent = this._formatDateTime(new Date(this.time));
+
+        const speedEl = document.getElementById('playbackCurrentSpeed');
+        if (speedEl) speedEl.textContent = `${speed.toFixed(0)} km/h`;
+
+        const stopEl = document.getElementById('playbackStop');
+        if (stopEl) stopEl.textContent = this._describeNearestStop(lat, lng);
+    },
+
+    /**
+     * Nearest stop to the playback marker, e.g. "Dừng 12 phút lúc 10:32 (0.4 km)"
+     */
+    _describeNearestStop(lat, lng) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.stops.forEach(stop => {
+            const distance = Trajectory.haversine(lat, lng, stop.lat, stop.lng);
+            if (distance < nearestDistance) {
+                nearest = stop;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest) return 'Không có điểm dừng';
+
+        const minutes = Math.round(nearest.duration / 60000);
+        const time = new Date(nearest.time).toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' });
+        const distance = nearestDistance < 1 ? `${Math.round(nearestDistance * 1000)} m` : `${nearestDistance.toFixed(1)} km`;
+        return `Dừng ${minutes} phút lúc ${time} (${distance})`;
+    },
+
+    _updateToggle() {
+        const button = document.getElementById('playbackToggle');
+        if (!button) return;
+
+        button.classList.toggle('playing', this.playing);
+        button.title = this.playing ? 'Tạm dừng' : 'Phát lại';
+        button.innerHTML = this.playing
+            ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>'
+            : '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><polygon points="6 4 20 12 6 20 6 4"/></svg>';
+    },
+
+    /**
+     * Format a date as HH:mm:ss DD/MM/YYYY
+     */
+    _formatDateTime(date) {
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * Trails module - Last minutes of movement of every device in LIVE mode
+ *
+ * Positions from the WebSocket are kept in a fixed-size ring buffer per device,
+ * so memory stays bounded however long the page runs. All trails are drawn from
+ * one GeoJSON source; each is cut into a few pieces by age so older parts fade out.
+ */
+const TrailManager = {
+    minutes: 0,          // Trail length shown (0 = trails off)
+    buffers: {},         // deviceId -> { points, start, length } ring buffer of { lng, lat, time }
+    fadeSteps: 6,        // Pieces per trail, from newest to oldest
+    _frame: null,
+
+    /**
+     * Bind the trail length selector and start aging the trails
+     */
+    init() {
+        this.minutes = CONFIG.TRAIL_DEFAULT_MINUTES;
+
+        const select = document.getElementById('trailMinutes');
+        if (select) {
+            select.innerHTML = '<option value="0">Vệt: tắt</option>' + CONFIG.TRAIL_MINUTES
+                .map(minutes => `<option value="${minutes}">Vệt: ${minutes} phút</option>`)
+                .join('');
+            select.value = this.minutes;
+            select.addEventListener('change', (e) => {
+                this.minutes = parseInt(e.target.value);
+                this.render();
+            });
+        }
+
+        // Trails fade and shorten even when no position arrives
+        setInterval(() => {
+            this._prune();
+            this.render();
+        }, 10000);
+    },
+
+    /**
+     * Record a position from the WebSocket (kept even while trails are hidden)
+     */
+    addPosition(position) {
+        if (position.valid === false) return;
+
+        const point = {
+            lng: position.longitude,
+            lat: position.latitude,
+            time: new Date(position.fixTime).getTime()
+        };
+
+        let buffer = this.buffers[position.deviceId];
+        if (!buffer) {
+            buffer = { points: new Array(CONFIG.TRAIL_MAX_POINTS), start: 0, length: 0 };
+            this.buffers[position.deviceId] = buffer;
+        }
+
+        // Skip late deltas and a parked vehicle repeating its position
+        const last = buffer.length > 0 ? buffer.points[(buffer.start + buffer.length - 1) % buffer.points.length] : null;
+        if (last && (point.time <= last.time || (point.lng === last.lng && point.lat === last.lat))) return;
+
+        const capacity = buffer.points.length;
+        buffer.points[(buffer.start + buffer.length) % capacity] = point;
+        if (buffer.length < capacity) {
+            buffer.length++;
+        } else {
+            buffer.start = (buffer.start + 1) % capacity;
+        }
+
+        this.render();
+    },
+
+    /**
+     * Redraw the trails on the next frame (empty outside LIVE mode or when off)
+     */
+    render() {
+        if (this._frame) return;
+        this._frame = requestAnimationFrame(() => {
+            this._frame = null;
+            const visible = this.minutes > 0 && MapManager.liveMode;
+            MapManager.setTrails(visible ? this._features() : []);
+        });
+    },
+
+    /**
+     * Trail pieces of the devices shown on the map, oldest first (newest drawn on top)
+     */
+    _features() {
+        const now = Date.now();
+        const span = this.minutes * 60000;
+        const features = [];
+
+        Object.entries(this.buffers).forEach(([deviceId, buffer]) => {
+            if (!MapManager._isDeviceShown(deviceId)) return;
+
+            const points = this._pointsSince(buffer, now - span);
+            if (points.length < 2) return;
+
+            const device = DeviceManager.devices[deviceId];
+            const color = MapManager._customColor(device) || MapManager.deviceColors.moving;
+
+            // Consecutive legs of about the same age share one line
+            let piece = null;
+            for (let i = 1; i < points.length; i++) {
+                const age = (now - points[i].time) / span;
+                const step = Math.min(this.fadeSteps - 1, Math.max(0, Math.floor(age * this.fadeSteps)));
+
+                if (!piece || piece.step !== step) {
+                    piece = { step, coordinates: [[points[i - 1].lng, points[i - 1].lat]] };
+                    features.push({
+                        type: 'Feature',
+                        geometry: { type: 'LineString', coordinates: piece.coordinates },
+                        properties: { deviceId: parseInt(deviceId), color, fade: step / (this.fadeSteps - 1) }
+                    });
+                }
+                piece.coordinates.push([points[i].lng, points[i].lat]);
+            }
+        });
+
+        return features;
+    },
+
+    /**
+     * Points of a ring buffer not older than `since`, oldest first
+     */
+    _pointsSince(buffer, since) {
+        const points = [];
+        for (let i = 0; i < buffer.length; i++) {
+            const point = buffer.points[(buffer.start + i) % buffer.points.length];
+            if (point.time >= since) points.push(point);
+        }
+        return points;
+    },
+
+    /**
+     * Drop points older than the longest trail length offered
+     */
+    _prune() {
+        const since = Date.now() - Math.max(...CONFIG.TRAIL_MINUTES) * 60000;
+
+        Object.entries(this.buffers).forEach(([deviceId, buffer]) => {
+            while (buffer.length > 0 && buffer.points[buffer.start].time < since) {
+                buffer.points[buffer.start] = undefined;
+                buffer.start = (buffer.start + 1) % buffer.points.length;
+                buffer.length--;
+            }
+            if (buffer.length === 0) delete this.buffers[deviceId];
+        });
+    }
+};
@@ -0,0 +1,380 @@
+/**
+ * Trips module - Splits a history route into trips and lists them in a side panel
+ */
+const TripManager = {
+    positions: [],
+    trips: [],
+    selected: null,       // Number of the isolated trip (null = whole route)
+    panelOpen: false,
+    _addresses: {},       // "lat,lng" -> address (or a pending promise)
+    _loadId: 0,           // Drops address lookups of a replaced route
+
+    /**
+     * Bind the trip panel
+     */
+    init() {
+        document.getElementById('tripPanelClose')?.addEventListener('click', () => this.togglePanel(false));
+        document.getElementById('tripShowAll')?.addEventListener('click', () => this.select(null));
+        document.getElementById('playbackTrips')?.addEventListener('click', () => this.togglePanel());
+
+        document.getElementById('tripList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.trip-item');
+            if (!item) return;
+            const number = parseInt(item.dataset.number);
+            this.select(this.selected === number ? null : number);
+        });
+    },
+
+    /**
+     * Split positions into trips, and the stops between them { lng, lat, duration, time }
+     *
+     * Trips follow the ignition attribute when the device reports it, otherwise motion:
+     * a trip ends once the vehicle has been slower than TRIP_STOP_SPEED for TRIP_MIN_STOP_DURATION.
+     */
+    segment(positions) {
+        const byIgnition = positions.some(p => typeof p.attributes?.ignition === 'boolean');
+        const ranges = byIgnition ? this._rangesByIgnition(positions) : this._rangesByMotion(positions);
+
+        const trips = this._mergeShortGaps(positions, ranges)
+            .map(([start, end]) => this._describeTrip(positions, start, end))
+            .filter(trip => trip.distance >= CONFIG.TRIP_MIN_DISTANCE);
+        trips.forEach((trip, i) => trip.number = i + 1);
+
+        return { trips, stops: this._stopsBetween(positions, trips), byIgnition };
+    },
+
+    /**
+     * Same as segment() from Traccar's trips and stops reports, tied to the route positions
+     * (filtered with the same TRIP_MIN_DISTANCE and TRIP_MIN_STOP_DURATION)
+     */
+    fromReports(positions, reportTrips, reportStops) {
+        const times = positions.map(p => this._time(p));
+
+        const trips = reportTrips.map(report => {
+            const startIndex = this._indexAtOrAfter(times, new Date(report.startTime).getTime());
+            const endIndex = this._indexAtOrAfter(times, new Date(report.endTime).getTime() + 1) - 1;
+            if (startIndex > endIndex) return null;
+
+            const start = positions[startIndex];
+            const end = positions[endIndex];
+            return {
+                startIndex,
+                endIndex,
+                start: { ...start, address: report.startAddress || start.address },
+                end: { ...end, address: report.endAddress || end.address },
+                startTime: new Date(report.startTime).getTime(),
+                endTime: new Date(report.endTime).getTime(),
+                duration: report.duration,
+                distance: report.distance / 1000,
+                maxSpeed: report.maxSpeed * 1.852
+            };
+        }).filter(trip => trip && trip.distance >= CONFIG.TRIP_MIN_DISTANCE);
+        trips.forEach((trip, i) => trip.number = i + 1);
+
+        const stops = reportStops
+            .filter(stop => stop.duration >= CONFIG.TRIP_MIN_STOP_DURATION * 1000)
+            .map(stop => ({
+                lng: stop.longitude,
+                lat: stop.latitude,
+                duration: stop.duration,
+                time: stop.startTime
+            }));
+
+        return { trips, stops };
+    },
+
+    /**
+     * Show the trips of a freshly drawn route
+     */
+    load(positions, trips) {
+        this.unload();
+        this.positions = positions;
+        this.trips = trips;
+        this._render();
+        // Leave an open plan comparison in view
+        const comparing = typeof OverlayManager !== 'undefined' && OverlayManager.panelOpen;
+        if (trips.length > 0 && !comparing) this.togglePanel(true);
+    },
+
+    /**
+     * Forget the trips (the route was cleared or replaced)
+     */
+    unload() {
+        this._loadId++;
+        this.positions = [];
+        this.trips = [];
+        this.selected = null;
+        MapManager.isolateRouteRange(null);
+        this.togglePanel(false);
+    },
+
+    togglePanel(open = !this.panelOpen) {
+        this.panelOpen = open && this.positions.length > 0;
+        const panel = document.getElementById('tripPanel');
+        if (panel) panel.classList.toggle('active', this.panelOpen);
+        if (this.panelOpen && typeof OverlayManager !== 'undefined') OverlayManager.togglePanel(false);
+    },
+
+    /**
+     * Zoom to a trip and dim the rest of the route (null shows the whole route again)
+     */
+    select(number) {
+        const trip = this.trips.find(t => t.number === number);
+        this.selected = trip ? number : null;
+
+        const from = trip ? trip.startIndex : 0;
+        const to = trip ? trip.endIndex : this.positions.length - 1;
+        MapManager.isolateRouteRange(trip ? from : null, to);
+
+        const bounds = new mapboxgl.LngLatBounds();
+        this.positions.slice(from, to + 1).forEach(p => bounds.extend([p.longitude, p.latitude]));
+        if (!bounds.isEmpty()) MapManager.map.fitBounds(bounds, { padding: 80, maxZoom: 16 });
+
+        if (trip && typeof PlaybackManager !== 'undefined' && PlaybackManager.positions.length) {
+            PlaybackManager.pause();
+            PlaybackManager.seek(trip.startTime);
+        }
+
+        document.querySelectorAll('#tripList .trip-item').forEach(item => {
+            item.classList.toggle('selected', parseInt(item.dataset.number) === this.selected);
+        });
+        document.getElementById('tripShowAll')?.toggleAttribute('disabled', this.selected === null);
+    },
+
+    /**
+     * Index ranges where the ignition is on
+     */
+    _rangesByIgnition(positions) {
+        const ranges = [];
+        let ignition = false;
+        let start = null;
+
+        positions.forEach((p, i) => {
+            // Positions without the attribute keep the last known state
+            if (typeof p.attributes?.ignition === 'boolean') ignition = p.attributes.ignition;
+
+            if (ignition && start === null) {
+                start = i;
+            } else if (!ignition && start !== null) {
+                ranges.push([start, i]);
+                start = null;
+            }
+        });
+        if (start !== null) ranges.push([start, positions.length - 1]);
+
+        return ranges;
+    },
+
+    /**
+     * Index ranges of motion, split by stops of at least TRIP_MIN_STOP_DURATION
+     */
+    _rangesByMotion(positions) {
+        const ranges = [];
+        const minStop = CONFIG.TRIP_MIN_STOP_DURATION * 1000;
+        let start = null;
+        let stopIndex = null;
+
+        positions.forEach((p, i) => {
+            if (p.speed * 1.852 >= CONFIG.TRIP_STOP_SPEED) {
+                // The trip leaves from the last parked position
+                if (start === null) start = Math.max(0, i - 1);
+                stopIndex = null;
+                return;
+            }
+            if (start === null) return;
+
+            if (stopIndex === null) stopIndex = i;
+            if (this._time(p) - this._time(positions[stopIndex]) >= minStop) {
+                ranges.push([start, stopIndex]);
+                start = null;
+                stopIndex = null;
+            }
+        });
+        if (start !== null) ranges.push([start, stopIndex ?? positions.length - 1]);
+
+        return ranges;
+    },
+
+    /**
+     * Join trips separated by less than TRIP_MIN_STOP_DURATION (e.g. a stalled engine)
+     */
+    _mergeShortGaps(positions, ranges) {
+        const minStop = CONFIG.TRIP_MIN_STOP_DURATION * 1000;
+        const merged = [];
+
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && this._time(positions[range[0]]) - this._time(positions[last[1]]) < minStop) {
+                last[1] = range[1];
+            } else {
+                merged.push([...range]);
+            }
+        });
+
+        return merged;
+    },
+
+    _describeTrip(positions, startIndex, endIndex) {
+        const { distance, maxSpeed } = Trajectory.stats(positions.slice(startIndex, endIndex + 1));
+
+        const start = positions[startIndex];
+        const end = positions[endIndex];
+        return {
+            startIndex,
+            endIndex,
+            start,
+            end,
+            startTime: this._time(start),
+            endTime: this._time(end),
+            duration: this._time(end) - this._time(start),
+            distance,
+            maxSpeed
+        };
+    },
+
+    /**
+     * Stops before the first trip and between trips (the vehicle parks after the last one)
+     */
+    _stopsBetween(positions, trips) {
+        const stops = [];
+        const minStop = CONFIG.TRIP_MIN_STOP_DURATION * 1000;
+
+        trips.forEach((trip, i) => {
+            const parked = i === 0 ? positions[0] : trips[i - 1].end;
+            const duration = trip.startTime - this._time(parked);
+            if (duration >= minStop) {
+                stops.push({
+                    lng: parked.longitude,
+                    lat: parked.latitude,
+                    duration,
+                    time: parked.deviceTime
+                });
+            }
+        });
+
+        return stops;
+    },
+
+    _render() {
+        const list = document.getElementById('tripList');
+        if (!list) return;
+
+        const title = document.getElementById('tripPanelTitle');
+        if (title) title.textContent = `Chuyến đi (${this.trips.length})`;
+        document.getElementById('tripShowAll')?.setAttribute('disabled', '');
+
+        if (this.trips.length === 0) {
+            list.innerHTML = '<div class="trip-empty">Không có chuyến đi nào</div>';
+            return;
+        }
+
+        const first = this.trips[0].startTime;
+        const last = this.trips[this.trips.length - 1].endTime;
+        const multiDay = new Date(first).toDateString() !== new Date(last).toDateString();
+
+        list.innerHTML = this.trips.map(trip => `
+            <div class="trip-item" data-number="${trip.number}">
+                <div class="trip-item-header">
+                    <span class="trip-number">${trip.number}</span>
+                    <span class="trip-time">${this._formatTime(trip.startTime, multiDay)} → ${this._formatTime(trip.endTime, multiDay)}</span>
+                    <span class="trip-duration">${this._formatDuration(trip.duration)}</span>
+                </div>
+                <div class="trip-item-stats">
+                    <span>${trip.distance.toFixed(1)} km</span>
+                    <span>Tối đa ${trip.maxSpeed.toFixed(0)} km/h</span>
+                </div>
+                <div class="trip-address trip-address-start" data-lat="${trip.start.latitude}" data-lng="${trip.start.longitude}">${this._escapeHtml(trip.start.address || '')}</div>
+                <div class="trip-address trip-address-end" data-lat="${trip.end.latitude}" data-lng="${trip.end.longitude}">${this._escapeHtml(trip.end.address || '')}</div>
+            </div>
+        `).join('');
+
+        this._fillAddresses(this._loadId);
+    },
+
+    /**
+     * Look up the addresses Traccar did not store, one at a time
+     */
+    async _fillAddresses(loadId) {
+        const elements = [...document.querySelectorAll('#tripList .trip-address')].filter(el => !el.textContent);
+
+        for (const el of elements) {
+            const lat = parseFloat(el.dataset.lat);
+            const lng = parseFloat(el.dataset.lng);
+            el.textContent = this._formatCoords(lat, lng);
+
+            const address = await this._reverseGeocode(lat, lng);
+            if (loadId !== this._loadId) return;
+            if (address) el.textContent = address;
+        }
+    },
+
+    /**
+     * Address of a point from Mapbox geocoding (null when unavailable)
+     */
+    _reverseGeocode(lat, lng) {
+        const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+        if (!(key in this._addresses)) {
+            const url = `https://api.mapbox.com/search/geocode/v6/reverse?longitude=${lng}&latitude=${lat}` +
+                `&language=vi&limit=1&access_token=${encodeURIComponent(MapManager.mapboxToken)}`;
+
+            this._addresses[key] = fetch(url)
+                .then(response => response.ok ? response.json() : null)
+                .then(data => {
+                    const props = data?.features?.[0]?.properties;
+                    return props ? (props.full_address || props.name) : null;
+                })
+                .catch(() => null);
+        }
+        return this._addresses[key];
+    },
+
+    _time(position) {
+        return new Date(position.deviceTime).getTime();
+    },
+
+    /**
+     * First index of sorted times not before `time` (times.length when none)
+     */
+    _indexAtOrAfter(times, time) {
+        let low = 0;
+        let high = times.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (times[mid] < time) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    },
+
+    /**
+     * Format a time as HH:mm (with DD/MM when the trips span several days)
+     */
+    _formatTime(time, withDate) {
+        const date = new Date(time);
+        const pad = (n) => n.toString().padStart(2, '0');
+        const clock = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        return withDate ? `${pad(date.getDate())}/${pad(date.getMonth() + 1)} ${clock}` : clock;
+    },
+
+    /**
+     * Format a duration as "1 giờ 05 phút" or "12 phút"
+     */
+    _formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} phút`;
+        return `${Math.floor(minutes / 60)} giờ ${(minutes % 60).toString().padStart(2, '0')} phút`;
+    },
+
+    _formatCoords(lat, lng) {
+        return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    },
+
+    /**
+     * Escape HTML
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
@@ -4,12 +4,19 @@
 const WebSocketManager = {
     socket: null,
     isConnected: false,
+    upstreamStatus: 'connected',  // Traccar feed status reported by the server
+    lastSeq: 0,                   // Sequence number of the last server message
     reconnectAttempts: 0,
-    maxReconnectAttempts: 10,
+    _reconnectTimer: null,
+    _closedByUser: false,
+    _lifecycleBound: false,
     listeners: {
         position: [],
         device: [],
         event: [],
+        alert: [],
+        snapshot: [],
+        status: [],
         connect: [],
         disconnect: []
     },
@@ -18,11 +25,16 @@ const WebSocketManager = {
      * Connect to WebSocket server
      */
     connect() {
-        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+        if (this.socket && (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING)) {
             console.log('WebSocket already connected');
             return;
         }
 
+        this._closedByUser = false;
+        this._bindLifecycleEvents();
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+
         console.log('🔌 Connecting to WebSocket...');
 
         try {
@@ -32,8 +44,9 @@ const WebSocketManager = {
                 console.log('✅ WebSocket connected');
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
+                this.upstreamStatus = 'connected';
                 this._notify('connect', { connected: true });
-                this._updateConnectionStatus(true);
+                this._updateConnectionStatus();
             };
 
             this.socket.onmessage = (event) => {
@@ -49,12 +62,22 @@ const WebSocketManager = {
                 console.error('❌ WebSocket error:', error);
             };
 
-            this.socket.onclose = () => {
+            this.socket.onclose = (event) => {
                 console.log('🔌 WebSocket disconnected');
                 this.isConnected = false;
+                this.socket = null;
                 this._notify('disconnect', { connected: false });
-                this._updateConnectionStatus(false);
-                this._scheduleReconnect();
+                this._updateConnectionStatus();
+
+                // Session expired or logged out - no point reconnecting
+                if (event.code === 4401) {
+                    API.redirectToLogin(true);
+                    return;
+                }
+
+                if (!this._closedByUser) {
+                    this._scheduleReconnect();
+                }
             };
         } catch (error) {
             console.error('Failed to create WebSocket:', error);
@@ -66,7 +89,24 @@ const WebSocketManager = {
      * Handle incoming messages
      */
     _handleMessage(data) {
-        // Traccar sends updates as { positions: [...], devices: [...], events: [...] }
+        // Server reports the state of its own Traccar connection as { upstream: 'reconnecting' | 'connected' }
+        if (data.upstream) {
+            this.upstreamStatus = data.upstream;
+            this._updateConnectionStatus();
+            this._notify('status', { upstream: data.upstream });
+        }
+
+        if (data.seq) {
+            this.lastSeq = data.seq;
+        }
+
+        // Full state sent by the server on every (re)connect: { type: 'snapshot', seq, timestamp, devices, positions }
+        if (data.type === 'snapshot') {
+            this._notify('snapshot', data);
+            return;
+        }
+
+        // Deltas are Traccar updates { type: 'delta', seq, timestamp, positions: [...], devices: [...], events: [...], alerts: [...] }
         if (data.positions) {
             data.positions.forEach(pos => this._notify('position', pos));
         }
@@ -76,40 +116,70 @@ const WebSocketManager = {
         if (data.events) {
             data.events.forEach(evt => this._notify('event', evt));
         }
+
+        // Alerts raised by the server's own rules: { alerts: [{ ruleName, type, deviceId, details... }] }
+        if (data.alerts) {
+            data.alerts.forEach(alert => this._notify('alert', alert));
+        }
     },
 
     /**
-     * Schedule reconnection
+     * Schedule reconnection - retries forever with exponential backoff and jitter
      */
     _scheduleReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.log('Max reconnection attempts reached');
-            return;
-        }
+        if (this._reconnectTimer) return;
 
+        const delay = Math.min(CONFIG.RECONNECT_INTERVAL * 2 ** this.reconnectAttempts, CONFIG.RECONNECT_MAX_DELAY);
+        const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
         this.reconnectAttempts++;
-        const delay = Math.min(CONFIG.RECONNECT_INTERVAL * this.reconnectAttempts, 30000);
 
-        console.log(`🔄 Reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+        console.log(`🔄 Reconnecting in ${(jittered / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
 
-        setTimeout(() => this.connect(), delay);
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this.connect();
+        }, jittered);
+    },
+
+    /**
+     * Reconnect right away when the tab becomes visible or the network comes back
+     */
+    _bindLifecycleEvents() {
+        if (this._lifecycleBound) return;
+        this._lifecycleBound = true;
+
+        const reconnectNow = () => {
+            if (this.isConnected || this._closedByUser) return;
+            console.log('⚡ Reconnecting immediately');
+            this.reconnectAttempts = 0;
+            this.connect();
+        };
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') reconnectNow();
+        });
+        window.addEventListener('online', reconnectNow);
     },
 
     /**
      * Update UI connection status
      */
-    _updateConnectionStatus(connected) {
+    _updateConnectionStatus() {
         const statusEl = document.getElementById('connectionStatus');
         if (statusEl) {
             const dot = statusEl.querySelector('.status-dot');
             const text = statusEl.querySelector('.status-text');
 
-            if (connected) {
-                dot.classList.add('online');
-                text.textContent = 'Đã kết nối';
-            } else {
+            if (!this.isConnected) {
                 dot.classList.remove('online');
                 text.textContent = 'Mất kết nối...';
+            } else if (this.upstreamStatus !== 'connected') {
+                // Browser is connected but the server lost Traccar
+                dot.classList.remove('online');
+                text.textContent = 'Traccar đang kết nối lại...';
+            } else {
+                dot.classList.add('online');
+                text.textContent = 'Đã kết nối';
             }
         }
     },
@@ -151,6 +221,10 @@ const WebSocketManager = {
      * Disconnect WebSocket
      */
     disconnect() {
+        this._closedByUser = true;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+
         if (this.socket) {
             this.socket.close();
             this.socket = null;
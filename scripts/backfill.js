@@ -0,0 +1,88 @@
+/**
+ * Backfill - Imports a date range of positions from Traccar into the local store
+ *
+ * Usage: npm run backfill -- --from 2026-01-01 --to 2026-01-31 [--device 12,15]
+ * Uses the service account (TRACCAR_EMAIL/TRACCAR_PASSWORD) from .env.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { PositionStore } = require('../lib/store');
+const { createTraccarSession, traccarGet } = require('../lib/traccar');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Traccar is asked for one day at a time to keep responses small
+const CHUNK = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const from = new Date(args.from);
+    const to = args.to ? new Date(Math.min(new Date(args.to).getTime(), Date.now())) : new Date();
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        console.error('Usage: npm run backfill -- --from <date> [--to <date>] [--device <id,id>]');
+        process.exit(1);
+    }
+
+    if (!process.env.TRACCAR_EMAIL || !process.env.TRACCAR_PASSWORD) {
+        console.error('❌ TRACCAR_EMAIL and TRACCAR_PASSWORD are required for backfill');
+        process.exit(1);
+    }
+
+    const { cookie } = await createTraccarSession(process.env.TRACCAR_EMAIL, process.env.TRACCAR_PASSWORD);
+
+    let devices = await traccarGet(cookie, '/api/devices');
+    if (args.device) {
+        const ids = args.device.split(',').map(id => parseInt(id));
+        devices = devices.filter(d => ids.includes(d.id));
+    }
+
+    const store = new PositionStore({
+        file: path.join(DATA_DIR, 'positions.db'),
+        retentionDays: 0
+    });
+
+    console.log(`📥 Backfilling ${devices.length} devices from ${from.toISOString()} to ${to.toISOString()}`);
+
+    for (const device of devices) {
+        let total = 0;
+
+        for (let start = from.getTime(); start < to.getTime(); start += CHUNK) {
+            const chunkFrom = new Date(start);
+            const chunkTo = new Date(Math.min(start + CHUNK, to.getTime()));
+            const params = new URLSearchParams({
+                deviceId: device.id,
+                from: chunkFrom.toISOString(),
+                to: chunkTo.toISOString()
+            });
+
+            const positions = await traccarGet(cookie, `/api/reports/route?${params}`);
+            store.importRange(device.id, chunkFrom, chunkTo, positions);
+            total += positions.length;
+        }
+
+        console.log(`✅ ${device.name}: ${total} positions`);
+    }
+
+    store.close();
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+});
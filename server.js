@@ -1,6 +1,6 @@
 /**
  * GPS Realtime Tracking Server
- * Proxies requests to Traccar API with automatic authentication
+ * Proxies requests to Traccar API using each user's own Traccar session
  */
 
 require('dotenv').config();
@@ -9,84 +9,274 @@ const fetch = require('node-fetch');
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
+const { SessionStore } = require('./lib/sessions');
+const { RealtimeHub } = require('./lib/realtime');
+const { PositionStore } = require('./lib/store');
+const { CommandLog } = require('./lib/audit');
+const { RulesEngine, validateRule } = require('./lib/rules');
+const { WebhookDispatcher, validateWebhook } = require('./lib/webhooks');
+const { EmailNotifier, validateRecipient } = require('./lib/email');
+const { TRACCAR_URL, createTraccarSession, traccarGet, traccarPost } = require('./lib/traccar');
+const { splitRange, forEachInOrder } = require('./lib/history');
+const { createRouteWriter, EXPORT_FORMATS } = require('./lib/export');
 
 const app = express();
 const server = http.createServer(app);
 
 // Configuration
-const TRACCAR_URL = process.env.TRACCAR_URL || 'https://traccar.apixgate.com';
-const TRACCAR_EMAIL = process.env.TRACCAR_EMAIL;
+const TRACCAR_EMAIL = process.env.TRACCAR_EMAIL;       // Optional service account for the shared live feed
 const TRACCAR_PASSWORD = process.env.TRACCAR_PASSWORD;
 const PORT = process.env.PORT || 3000;
 const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN;
+const SESSION_TIMEOUT = (parseInt(process.env.SESSION_TIMEOUT) || 480) * 60 * 1000; // minutes -> ms
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS || '180');   // 0 = keep forever
+const HISTORY_MAX_DAYS = parseInt(process.env.HISTORY_MAX_DAYS) || 90;
+const HISTORY_CONCURRENCY = parseInt(process.env.HISTORY_CONCURRENCY) || 2;
+const ALERT_TIMEZONE = process.env.ALERT_TIMEZONE || undefined;   // Default timezone of schedule rules
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY) * 1000 || undefined;   // Seconds before the first retry
 
-// Session storage
-let sessionCookie = null;
+// SMTP - email notifications are off unless SMTP_HOST is set
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';   // TLS from the start (port 465), otherwise STARTTLS when offered
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+const SMTP_FROM = process.env.SMTP_FROM || SMTP_USER || 'gps-tracker@localhost';
+const SMTP_TLS_REJECT_UNAUTHORIZED = process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false';
+const EMAIL_THROTTLE_MINUTES = parseInt(process.env.EMAIL_THROTTLE_MINUTES ?? '15');
+const EMAIL_MAX_PER_HOUR = parseInt(process.env.EMAIL_MAX_PER_HOUR) || 20;
+const EMAIL_SUMMARY_TIME = process.env.EMAIL_SUMMARY_TIME ?? '23:55';   // Empty to disable the daily summary
+
+// How long a session's list of visible devices is trusted
+const DEVICE_CACHE_TTL = 5 * 60 * 1000;
+
+// Long route requests are fetched from Traccar in windows of this size
+const HISTORY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Fetched windows that ended at least this long ago are kept in the local store
+const HISTORY_CACHE_MIN_AGE = 60 * 60 * 1000;
+
+// Commands that are only sent once the user confirmed them (they can stop a moving vehicle)
+const DANGEROUS_COMMANDS = ['engineStop', 'powerOff', 'factoryReset'];
+
+// Session storage (browser session -> Traccar session cookie)
+const sessions = new SessionStore({ timeout: SESSION_TIMEOUT });
+
+// Local copy of every position received from Traccar
+const store = new PositionStore({
+    file: path.join(DATA_DIR, 'positions.db'),
+    retentionDays: RETENTION_DAYS
+});
+
+// Who sent which command to which device
+const commandLog = new CommandLog({ file: path.join(DATA_DIR, 'audit.db') });
+
+// Alert rules evaluated against every live position
+const rules = new RulesEngine({
+    file: path.join(DATA_DIR, 'rules.json'),
+    timezone: ALERT_TIMEZONE
+});
+
+// Outbound webhooks for other systems (ERP...)
+const webhooks = new WebhookDispatcher({
+    file: path.join(DATA_DIR, 'webhooks.json'),
+    deadLetterFile: path.join(DATA_DIR, 'webhooks.db'),
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retryDelay: WEBHOOK_RETRY_DELAY
+});
+
+// Email alerts and daily summary
+const mailer = new EmailNotifier({
+    file: path.join(DATA_DIR, 'email.json'),
+    smtp: SMTP_HOST ? {
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        user: SMTP_USER,
+        password: SMTP_PASSWORD,
+        rejectUnauthorized: SMTP_TLS_REJECT_UNAUTHORIZED
+    } : null,
+    from: SMTP_FROM,
+    throttleMinutes: isNaN(EMAIL_THROTTLE_MINUTES) ? 15 : EMAIL_THROTTLE_MINUTES,
+    maxPerHour: EMAIL_MAX_PER_HOUR,
+    summaryTime: EMAIL_SUMMARY_TIME || null,
+    timezone: ALERT_TIMEZONE,
+    getRoute: loadSummaryRoute,
+    getGeofenceName
+});
+
+// Service account session (only when TRACCAR_EMAIL/TRACCAR_PASSWORD are set)
+let serviceCookie = null;
+
+// Geofence names for emails (service account only)
+let geofenceNames = new Map();
+let geofenceNamesLoadedAt = 0;
 
 /**
- * Authenticate with Traccar and store session cookie
+ * Get the service account cookie, logging in when needed
  */
-async function authenticateTraccar() {
-    console.log('🔐 Authenticating with Traccar...');
+async function getServiceCookie() {
+    if (!serviceCookie) {
+        console.log('🔐 Authenticating service account with Traccar...');
+        const { cookie } = await createTraccarSession(TRACCAR_EMAIL, TRACCAR_PASSWORD);
+        serviceCookie = cookie;
+        console.log('✅ Service account authenticated');
+    }
+    return serviceCookie;
+}
 
-    try {
-        const response = await fetch(`${TRACCAR_URL}/api/session`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: `email=${encodeURIComponent(TRACCAR_EMAIL)}&password=${encodeURIComponent(TRACCAR_PASSWORD)}`
-        });
+/**
+ * Load the ids of the devices a session's user may see
+ */
+async function loadDeviceIds(session) {
+    const devices = await traccarGet(session.traccarCookie, '/api/devices');
+    rememberDevices(session, devices);
+    return devices.map(d => d.id);
+}
 
-        if (!response.ok) {
-            throw new Error(`Authentication failed: ${response.status}`);
-        }
+/**
+ * Cache a session's visible devices
+ */
+function rememberDevices(session, devices) {
+    session.deviceIds = new Set(devices.map(d => d.id));
+    session.deviceIdsLoadedAt = Date.now();
+}
 
-        // Extract session cookie
-        const cookies = response.headers.raw()['set-cookie'];
-        if (cookies) {
-            sessionCookie = cookies.map(cookie => cookie.split(';')[0]).join('; ');
-            console.log('✅ Authentication successful!');
-            return true;
-        }
+/**
+ * Whether a session's user may see a device (cached for a few minutes)
+ */
+async function canAccessDevice(session, deviceId) {
+    if (!session.deviceIds || Date.now() - session.deviceIdsLoadedAt > DEVICE_CACHE_TTL) {
+        await loadDeviceIds(session);
+    }
+    return session.deviceIds.has(deviceId);
+}
 
-        throw new Error('No session cookie received');
-    } catch (error) {
-        console.error('❌ Authentication error:', error.message);
-        return false;
+/**
+ * Load one window of a route - from the local store when complete, otherwise from Traccar
+ */
+async function loadRouteWindow(session, deviceId, window) {
+    if (store.isCovered(deviceId, window.from, window.to) && await canAccessDevice(session, deviceId)) {
+        return store.getRoute(deviceId, window.from, window.to);
+    }
+
+    const params = new URLSearchParams({
+        deviceId,
+        from: window.from.toISOString(),
+        to: window.to.toISOString()
+    });
+    const positions = await traccarGet(session.traccarCookie, `/api/reports/route?${params}`);
+
+    // Past windows will not change any more - cache them for the next request
+    if (Date.now() - window.to.getTime() > HISTORY_CACHE_MIN_AGE) {
+        store.importRange(deviceId, window.from, window.to, positions);
     }
+
+    return positions;
 }
 
 /**
- * Proxy middleware for Traccar API
+ * A device's route for the daily summary - from the store when complete,
+ * otherwise from Traccar through the service account
  */
-async function proxyToTraccar(req, res, endpoint) {
-    if (!sessionCookie) {
-        const authenticated = await authenticateTraccar();
-        if (!authenticated) {
-            return res.status(503).json({ error: 'Unable to connect to Traccar' });
-        }
+async function loadSummaryRoute(deviceId, from, to) {
+    if (store.isCovered(deviceId, from, to) || !(TRACCAR_EMAIL && TRACCAR_PASSWORD)) {
+        return store.getRoute(deviceId, from, to);
     }
 
+    const params = new URLSearchParams({ deviceId, from: from.toISOString(), to: to.toISOString() });
+    return traccarGet(await getServiceCookie(), `/api/reports/route?${params}`);
+}
+
+/**
+ * Name of a geofence, reloading the list (at most once a minute) for unknown ids
+ */
+async function getGeofenceName(geofenceId) {
+    if (!(TRACCAR_EMAIL && TRACCAR_PASSWORD)) return null;
+
+    if (!geofenceNames.has(geofenceId) && Date.now() - geofenceNamesLoadedAt > 60 * 1000) {
+        geofenceNamesLoadedAt = Date.now();
+        const geofences = await traccarGet(await getServiceCookie(), '/api/geofences');
+        geofenceNames = new Map(geofences.map(g => [g.id, g.name]));
+    }
+    return geofenceNames.get(geofenceId) || null;
+}
+
+/**
+ * Require a logged-in session for API routes
+ */
+function requireSession(req, res, next) {
+    const session = sessions.fromRequest(req);
+    if (!session) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    req.session = session;
+    next();
+}
+
+/**
+ * Only Traccar administrators may change server-wide settings such as alert rules
+ */
+function requireAdmin(req, res, next) {
+    if (!req.session.user.administrator) {
+        return res.status(403).json({ error: 'Administrator access required' });
+    }
+    next();
+}
+
+/**
+ * End a session whose Traccar cookie was rejected and tell the browser to log in again
+ */
+function sessionExpired(req, res) {
+    console.log(`🔒 Traccar session expired for ${req.session.user.email}`);
+    sessions.destroy(req.session.id, 'expired');
+    sessions.clearCookie(res);
+    return res.status(401).json({ error: 'Session expired' });
+}
+
+/**
+ * Proxy middleware for Traccar API
+ * Forwards the request's own query string unless validated `params` are given,
+ * and a JSON `body` for writes
+ */
+async function proxyToTraccar(req, res, endpoint, params = null, body = undefined) {
     try {
-        const url = `${TRACCAR_URL}${endpoint}${req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : ''}`;
+        let query = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
+        if (params) {
+            query = params.toString() ? `?${params}` : '';
+        }
+        const url = `${TRACCAR_URL}${endpoint}${query}`;
+
+        const headers = {
+            'Cookie': req.session.traccarCookie,
+            'Accept': 'application/json'
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
 
         const response = await fetch(url, {
             method: req.method,
-            headers: {
-                'Cookie': sessionCookie,
-                'Accept': 'application/json'
-            }
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
         });
 
-        // If unauthorized, try to re-authenticate
+        // Traccar no longer accepts this user's session - force a new login
         if (response.status === 401) {
-            console.log('🔄 Session expired, re-authenticating...');
-            const authenticated = await authenticateTraccar();
-            if (authenticated) {
-                return proxyToTraccar(req, res, endpoint);
-            }
-            return res.status(503).json({ error: 'Unable to reconnect to Traccar' });
+            return sessionExpired(req, res);
+        }
+
+        if (response.status === 204) {
+            return res.status(204).end();
+        }
+
+        // Traccar explains rejected requests (e.g. missing permission) in plain text
+        if (!response.ok) {
+            const text = await response.text();
+            console.error(`Traccar rejected ${req.method} ${endpoint}:`, response.status, text.substring(0, 200));
+            return res.status(response.status).json({ error: text.substring(0, 200) || `Traccar returned ${response.status}` });
         }
 
         // Check content type before parsing JSON
@@ -105,60 +295,790 @@ async function proxyToTraccar(req, res, endpoint) {
     }
 }
 
-// Static files
-app.use(express.static(path.join(__dirname, 'public')));
+/**
+ * Validate a from/to pair, returning an error message or null
+ */
+function validateRange(fromDate, toDate) {
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return 'Invalid date format. Use ISO 8601 format.';
+    }
 
-// API Proxy routes
-app.get('/api/devices', (req, res) => proxyToTraccar(req, res, '/api/devices'));
-app.get('/api/positions', (req, res) => proxyToTraccar(req, res, '/api/positions'));
+    if (fromDate >= toDate) {
+        return 'Start date must be before end date';
+    }
 
-// Route history with validation
-app.get('/api/reports/route', (req, res) => {
-    const { deviceId, from, to } = req.query;
+    const maxRange = HISTORY_MAX_DAYS * 24 * 60 * 60 * 1000;
+    if (toDate - fromDate > maxRange) {
+        return `Date range cannot exceed ${HISTORY_MAX_DAYS} days`;
+    }
+
+    if (toDate > new Date()) {
+        return 'End date cannot be in the future';
+    }
+
+    return null;
+}
+
+/**
+ * Validate the deviceId/from/to of a route request, returning { error } or { deviceId, windows }
+ */
+function parseRouteQuery(query) {
+    const { deviceId, from, to } = query;
 
     // Validate required parameters
     if (!deviceId || !from || !to) {
-        return res.status(400).json({ error: 'Missing required parameters: deviceId, from, to' });
+        return { error: 'Missing required parameters: deviceId, from, to' };
     }
 
     // Validate device ID is a number
     if (isNaN(parseInt(deviceId))) {
-        return res.status(400).json({ error: 'Invalid deviceId format' });
+        return { error: 'Invalid deviceId format' };
     }
 
-    // Validate date formats
+    // Validate dates and range
     const fromDate = new Date(from);
     const toDate = new Date(to);
+    const rangeError = validateRange(fromDate, toDate);
+    if (rangeError) {
+        return { error: rangeError };
+    }
 
-    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    return { deviceId: parseInt(deviceId), windows: splitRange(fromDate, toDate, HISTORY_WINDOW) };
+}
+
+/**
+ * Load the windows of a route in order, handing each one's new positions to `onPositions`
+ */
+async function eachRouteWindow(session, deviceId, windows, onPositions) {
+    let previousIds = new Set();
+
+    await forEachInOrder(windows, HISTORY_CONCURRENCY,
+        (window) => loadRouteWindow(session, deviceId, window),
+        (windowPositions, index) => {
+            // A position exactly on a window boundary comes back in both windows
+            const positions = windowPositions.filter(p => !previousIds.has(p.id));
+            previousIds = new Set(windowPositions.map(p => p.id));
+            return onPositions(positions, index);
+        });
+}
+
+/**
+ * Write to a response, waiting for the client to catch up when its buffer is full
+ */
+function writeChunk(res, chunk) {
+    if (res.destroyed) return Promise.reject(new Error('Client closed the connection'));
+    if (!chunk || res.write(chunk)) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * Read a query parameter that may be repeated (?deviceId=1&deviceId=2) as a list
+ */
+function queryList(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate a Traccar report query and build the parameters to forward
+ */
+async function buildReportParams(req) {
+    const { from, to } = req.query;
+    const deviceIds = queryList(req.query.deviceId);
+    const groupIds = queryList(req.query.groupId);
+
+    if ((deviceIds.length === 0 && groupIds.length === 0) || !from || !to) {
+        return { status: 400, error: 'Missing required parameters: deviceId or groupId, from, to' };
+    }
+
+    const ids = [...deviceIds, ...groupIds];
+    if (ids.some(id => !/^\d+$/.test(id))) {
+        return { status: 400, error: 'Invalid deviceId or groupId format' };
+    }
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    const rangeError = validateRange(fromDate, toDate);
+    if (rangeError) {
+        return { status: 400, error: rangeError };
+    }
+
+    for (const id of deviceIds) {
+        if (!await canAccessDevice(req.session, parseInt(id))) {
+            return { status: 403, error: `Access denied to device ${id}` };
+        }
+    }
+
+    const params = new URLSearchParams();
+    deviceIds.forEach(id => params.append('deviceId', id));
+    groupIds.forEach(id => params.append('groupId', id));
+    params.append('from', fromDate.toISOString());
+    params.append('to', toDate.toISOString());
+
+    return { params };
+}
+
+/**
+ * Handler proxying one of Traccar's reports after validating its query
+ * `extra(req, params)` may add report specific parameters, returning an error message on bad input
+ */
+function reportHandler(endpoint, extra = null) {
+    return async (req, res) => {
+        let result;
+        try {
+            result = await buildReportParams(req);
+        } catch (error) {
+            if (error.status === 401) {
+                return sessionExpired(req, res);
+            }
+            console.error('Report validation error:', error.message);
+            return res.status(502).json({ error: error.message });
+        }
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const extraError = extra && extra(req, result.params);
+        if (extraError) {
+            return res.status(400).json({ error: extraError });
+        }
+
+        proxyToTraccar(req, res, endpoint, result.params);
+    };
+}
+
+/**
+ * Validate a geofence sent by the browser and keep only the fields Traccar needs
+ * Areas are Traccar WKT: CIRCLE (lat lon, radius), POLYGON ((lat lon, ...)), LINESTRING (lat lon, ...)
+ */
+function validateGeofence(body) {
+    const { name, description, area, attributes, calendarId } = body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'Missing required parameter: name' };
+    }
+    if (name.length > 128) {
+        return { error: 'Name is too long' };
+    }
+    if (typeof area !== 'string' || !/^\s*(CIRCLE|POLYGON|LINESTRING)\s*\(/i.test(area)) {
+        return { error: 'Invalid area. Use CIRCLE, POLYGON or LINESTRING WKT.' };
+    }
+    if (attributes !== undefined && (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes))) {
+        return { error: 'Invalid attributes format' };
+    }
+
+    return {
+        geofence: {
+            name: name.trim(),
+            description: typeof description === 'string' ? description : '',
+            area: area.trim(),
+            attributes: attributes || {},
+            calendarId: parseInt(calendarId) || 0
+        }
+    };
+}
+
+/**
+ * Validate a device-geofence link for /api/permissions
+ */
+async function validateGeofencePermission(req) {
+    const { deviceId, geofenceId } = req.body || {};
+
+    if (!Number.isInteger(deviceId) || !Number.isInteger(geofenceId)) {
+        return { status: 400, error: 'Missing required parameters: deviceId, geofenceId' };
+    }
+    if (!await canAccessDevice(req.session, deviceId)) {
+        return { status: 403, error: `Access denied to device ${deviceId}` };
+    }
+
+    return { permission: { deviceId, geofenceId } };
+}
+
+/**
+ * Link or unlink a device and a geofence - the only permissions changed from here
+ */
+async function proxyGeofencePermission(req, res) {
+    let result;
+    try {
+        result = await validateGeofencePermission(req);
+    } catch (error) {
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+        console.error('Permission validation error:', error.message);
+        return res.status(502).json({ error: error.message });
+    }
+
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    proxyToTraccar(req, res, '/api/permissions', new URLSearchParams(), result.permission);
+}
+
+/**
+ * Validate a command sent by the browser, returning an error message or null
+ */
+function validateCommand(body) {
+    const { deviceId, type, attributes } = body || {};
+
+    if (!Number.isInteger(deviceId) || typeof type !== 'string') {
+        return 'Missing required parameters: deviceId, type';
+    }
+    if (!/^[a-zA-Z]+$/.test(type)) {
+        return 'Invalid command type';
+    }
+    if (attributes !== undefined && (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes))) {
+        return 'Invalid attributes format';
+    }
+    return null;
+}
+
+app.use(express.json());
+
+// Send visitors without a session to the login page
+app.get(['/', '/index.html'], (req, res, next) => {
+    if (!sessions.fromRequest(req)) {
+        return res.redirect('/login.html');
+    }
+    next();
+});
+
+// Shared with the browser, which loads it like its own modules
+app.get('/js/trajectory.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'trajectory.js'));
+});
+
+// Static files
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Login - forwards the user's credentials to Traccar
+app.post('/api/session', async (req, res) => {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Missing required parameters: email, password' });
+    }
+
+    try {
+        const { cookie, user } = await createTraccarSession(email, password);
+        const session = sessions.create(cookie, user);
+        sessions.setCookie(res, session, req.secure);
+
+        console.log(`🔐 User logged in: ${user.email}`);
+        res.json(user);
+    } catch (error) {
+        if (error.status === 401) {
+            return res.status(401).json({ error: error.message });
+        }
+        console.error('❌ Login error:', error.message);
+        res.status(503).json({ error: 'Unable to connect to Traccar' });
+    }
+});
+
+// Current user
+app.get('/api/session', requireSession, (req, res) => {
+    res.json(req.session.user);
+});
+
+// Logout - closes the Traccar session as well
+app.delete('/api/session', requireSession, async (req, res) => {
+    try {
+        await fetch(`${TRACCAR_URL}/api/session`, {
+            method: 'DELETE',
+            headers: { 'Cookie': req.session.traccarCookie }
+        });
+    } catch (error) {
+        console.error('Traccar logout error:', error.message);
+    }
+
+    console.log(`👋 User logged out: ${req.session.user.email}`);
+    sessions.destroy(req.session.id, 'logout');
+    sessions.clearCookie(res);
+    res.status(204).end();
+});
+
+// API Proxy routes
+app.get('/api/devices', requireSession, (req, res) => proxyToTraccar(req, res, '/api/devices'));
+app.get('/api/positions', requireSession, (req, res) => proxyToTraccar(req, res, '/api/positions'));
+app.get('/api/groups', requireSession, (req, res) => proxyToTraccar(req, res, '/api/groups'));
+
+// Route history with validation
+app.get('/api/reports/route', requireSession, async (req, res) => {
+    const route = parseRouteQuery(req.query);
+    if (route.error) {
+        return res.status(400).json({ error: route.error });
+    }
+
+    // Long ranges are loaded window by window and streamed back in order.
+    // Clients asking for NDJSON get one line per window so they can show progress.
+    const { deviceId, windows } = route;
+    const ndjson = req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+    let started = false;
+    let first = true;
+
+    try {
+        await eachRouteWindow(req.session, deviceId, windows, async (positions, index) => {
+            if (!started) {
+                started = true;
+                res.type(ndjson ? 'application/x-ndjson' : 'json');
+                if (!ndjson) await writeChunk(res, '[');
+            }
+
+            if (ndjson) {
+                await writeChunk(res, JSON.stringify({
+                    chunk: index + 1,
+                    chunks: windows.length,
+                    from: windows[index].from.toISOString(),
+                    to: windows[index].to.toISOString(),
+                    positions
+                }) + '\n');
+                return;
+            }
+
+            if (positions.length === 0) return;
+            await writeChunk(res, (first ? '' : ',') + positions.map(p => JSON.stringify(p)).join(','));
+            first = false;
+        });
+
+        res.end(ndjson ? '' : ']');
+    } catch (error) {
+        // Part of the body is already out - all we can do is cut the response
+        if (started) {
+            console.error('Route stream error:', error.message);
+            return res.destroy();
+        }
+
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+
+        console.error('Route history error:', error.message);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// Route export as a file download - written window by window like the route itself
+app.get('/api/reports/route/export', requireSession, async (req, res) => {
+    const route = parseRouteQuery(req.query);
+    if (route.error) {
+        return res.status(400).json({ error: route.error });
+    }
+
+    const { format } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Invalid format. Use ${EXPORT_FORMATS.join(', ')}.` });
+    }
+
+    const timezone = req.query.timezone || ALERT_TIMEZONE;
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return res.status(400).json({ error: 'Unknown timezone' });
+        }
+    }
+
+    const { deviceId, windows } = route;
+    let started = false;
+
+    try {
+        // Also checks that the user may see the device
+        const [device] = await traccarGet(req.session.traccarCookie, `/api/devices?id=${deviceId}`);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const writer = createRouteWriter(format, { name: device.name, timezone });
+        const day = new Intl.DateTimeFormat('sv-SE', { timeZone: timezone }).format(windows[0].from);
+
+        await eachRouteWindow(req.session, deviceId, windows, async (positions) => {
+            if (!started) {
+                started = true;
+                res.attachment(`${device.name}-${day}.${writer.extension}`);
+                res.type(writer.contentType);
+                await writeChunk(res, writer.head());
+            }
+            await writeChunk(res, writer.write(positions));
+        });
+
+        res.end(writer.tail());
+        console.log(`📤 Exported route of ${device.name} as ${format} for ${req.session.user.email}`);
+    } catch (error) {
+        if (started) {
+            console.error('Route export stream error:', error.message);
+            return res.destroy();
+        }
+
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+
+        console.error('Route export error:', error.message);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// Trip, stop, summary and event reports - one or more devices and/or groups
+app.get('/api/reports/trips', requireSession, reportHandler('/api/reports/trips'));
+app.get('/api/reports/stops', requireSession, reportHandler('/api/reports/stops'));
+
+app.get('/api/reports/summary', requireSession, reportHandler('/api/reports/summary', (req, params) => {
+    const { daily } = req.query;
+    if (daily === undefined) return null;
+    if (daily !== 'true' && daily !== 'false') return 'Invalid daily value. Use true or false.';
+    params.append('daily', daily);
+    return null;
+}));
+
+app.get('/api/reports/events', requireSession, reportHandler('/api/reports/events', (req, params) => {
+    const types = queryList(req.query.type);
+    if (types.some(type => !/^[a-zA-Z]+$/.test(type))) return 'Invalid event type';
+    types.forEach(type => params.append('type', type));
+    return null;
+}));
+
+// Geofences - listed for the user (optionally only those linked to a device)
+app.get('/api/geofences', requireSession, (req, res) => {
+    const { deviceId } = req.query;
+    if (deviceId !== undefined && !/^\d+$/.test(deviceId)) {
+        return res.status(400).json({ error: 'Invalid deviceId format' });
+    }
+    proxyToTraccar(req, res, '/api/geofences', deviceId ? new URLSearchParams({ deviceId }) : new URLSearchParams());
+});
+
+app.post('/api/geofences', requireSession, (req, res) => {
+    const { geofence, error } = validateGeofence(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    proxyToTraccar(req, res, '/api/geofences', new URLSearchParams(), geofence);
+});
+
+app.put('/api/geofences/:id', requireSession, (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid geofence id' });
+    }
+
+    const { geofence, error } = validateGeofence(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    proxyToTraccar(req, res, `/api/geofences/${id}`, new URLSearchParams(), { id, ...geofence });
+});
+
+app.delete('/api/geofences/:id', requireSession, (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid geofence id' });
+    }
+    proxyToTraccar(req, res, `/api/geofences/${id}`, new URLSearchParams());
+});
+
+// Geofence assignment - POST links a device to a geofence, DELETE (same body) unlinks it
+app.post('/api/permissions', requireSession, proxyGeofencePermission);
+app.delete('/api/permissions', requireSession, proxyGeofencePermission);
+
+// Commands the selected device supports
+app.get('/api/commands/types', requireSession, (req, res) => {
+    const { deviceId } = req.query;
+    if (!deviceId || !/^\d+$/.test(deviceId)) {
+        return res.status(400).json({ error: 'Missing or invalid deviceId' });
+    }
+    proxyToTraccar(req, res, '/api/commands/types', new URLSearchParams({ deviceId }));
+});
+
+// Send a command - every attempt ends up in the audit log
+app.post('/api/commands/send', requireSession, async (req, res) => {
+    const validationError = validateCommand(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const { deviceId, type, confirmed } = req.body;
+    const attributes = req.body.attributes || {};
+
+    // The browser asks the user and retries with confirmed: true
+    if (DANGEROUS_COMMANDS.includes(type) && confirmed !== true) {
+        return res.status(428).json({ error: 'Command requires confirmation', type });
+    }
+
+    try {
+        if (!await canAccessDevice(req.session, deviceId)) {
+            return res.status(403).json({ error: `Access denied to device ${deviceId}` });
+        }
+    } catch (error) {
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+        return res.status(502).json({ error: error.message });
+    }
+
+    const user = req.session.user;
+    try {
+        const { status, data } = await traccarPost(req.session.traccarCookie, '/api/commands/send', { deviceId, type, attributes });
+
+        // 202 - the device is offline and Traccar queued the command
+        const result = status === 202 ? 'queued' : 'sent';
+        const entry = commandLog.record({ user, deviceId, type, attributes, result });
+        console.log(`📨 ${user.email} sent ${type} to device ${deviceId} (${result})`);
+
+        res.status(status).json({ result, entry, command: data });
+    } catch (error) {
+        const entry = commandLog.record({ user, deviceId, type, attributes, result: 'failed', error: error.message });
+        console.error(`❌ ${user.email} failed to send ${type} to device ${deviceId}:`, error.message);
+
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+        res.status(error.status || 502).json({ error: error.message, entry });
+    }
+});
+
+// Audit log - administrators see everything, other users only their devices
+app.get('/api/commands/log', requireSession, async (req, res) => {
+    const requested = queryList(req.query.deviceId);
+    if (requested.some(id => !/^\d+$/.test(id))) {
+        return res.status(400).json({ error: 'Invalid deviceId format' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
         return res.status(400).json({ error: 'Invalid date format. Use ISO 8601 format.' });
     }
 
-    // Validate start < end
-    if (fromDate >= toDate) {
-        return res.status(400).json({ error: 'Start date must be before end date' });
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'Invalid limit' });
     }
 
-    // Validate max range (7 days)
-    const maxRange = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
-    if (toDate - fromDate > maxRange) {
-        return res.status(400).json({ error: 'Date range cannot exceed 7 days' });
+    let deviceIds = requested.map(id => parseInt(id));
+    try {
+        for (const id of deviceIds) {
+            if (!await canAccessDevice(req.session, id)) {
+                return res.status(403).json({ error: `Access denied to device ${id}` });
+            }
+        }
+        if (deviceIds.length === 0) {
+            if (req.session.user.administrator) {
+                deviceIds = null;
+            } else {
+                await loadDeviceIds(req.session);
+                deviceIds = [...req.session.deviceIds];
+            }
+        }
+    } catch (error) {
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+        return res.status(502).json({ error: error.message });
+    }
+
+    res.json(commandLog.query({ deviceIds, from, to, limit }));
+});
+
+// Alert rules - everyone can see them, administrators manage them
+app.get('/api/rules', requireSession, (req, res) => {
+    res.json(rules.list());
+});
+
+app.post('/api/rules', requireSession, requireAdmin, (req, res) => {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const created = rules.create(rule, req.session.user);
+    console.log(`📏 Rule created by ${req.session.user.email}: ${created.name}`);
+    res.json(created);
+});
+
+app.put('/api/rules/:id', requireSession, requireAdmin, (req, res) => {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const updated = rules.update(parseInt(req.params.id), rule, req.session.user);
+    if (!updated) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(updated);
+});
+
+app.delete('/api/rules/:id', requireSession, requireAdmin, (req, res) => {
+    if (!rules.remove(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.status(204).end();
+});
+
+// Recent alerts of the user's devices (newest first)
+app.get('/api/alerts', requireSession, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    try {
+        await loadDeviceIds(req.session);
+    } catch (error) {
+        if (error.status === 401) {
+            return sessionExpired(req, res);
+        }
+        return res.status(502).json({ error: error.message });
+    }
+
+    res.json(rules.recentAlerts
+        .filter(alert => req.session.deviceIds.has(alert.deviceId))
+        .slice(0, limit));
+});
+
+// Webhooks - administrators only, they hold secrets and see every device
+app.get('/api/webhooks', requireSession, requireAdmin, (req, res) => {
+    res.json(webhooks.list());
+});
+
+app.post('/api/webhooks', requireSession, requireAdmin, (req, res) => {
+    const { webhook, error } = validateWebhook(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const created = webhooks.create(webhook, req.session.user);
+    console.log(`🪝 Webhook created by ${req.session.user.email}: ${created.name} -> ${created.url}`);
+    res.json(created);
+});
+
+app.put('/api/webhooks/:id', requireSession, requireAdmin, (req, res) => {
+    const { webhook, error } = validateWebhook(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // Forms can leave the secret out to keep it
+    const updated = webhooks.update(parseInt(req.params.id), webhook, req.session.user, req.body.secret === undefined);
+    if (!updated) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(updated);
+});
+
+app.delete('/api/webhooks/:id', requireSession, requireAdmin, (req, res) => {
+    if (!webhooks.remove(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+});
+
+// Send a sample payload once and report the receiver's answer
+app.post('/api/webhooks/:id/test', requireSession, requireAdmin, async (req, res) => {
+    const result = await webhooks.test(parseInt(req.params.id));
+    if (!result) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(result);
+});
+
+// Deliveries that failed every attempt
+app.get('/api/webhooks/dead-letters', requireSession, requireAdmin, (req, res) => {
+    res.json(webhooks.deadLetters({
+        webhookId: parseInt(req.query.webhookId) || null,
+        limit: parseInt(req.query.limit) || 100
+    }));
+});
+
+app.post('/api/webhooks/dead-letters/:id/retry', requireSession, requireAdmin, (req, res) => {
+    if (!webhooks.redeliver(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Dead letter or its webhook not found' });
+    }
+    res.status(202).json({ status: 'queued' });
+});
+
+// Email recipients - administrators only
+app.get('/api/email/recipients', requireSession, requireAdmin, (req, res) => {
+    res.json(mailer.list());
+});
+
+app.post('/api/email/recipients', requireSession, requireAdmin, (req, res) => {
+    const { recipient, error } = validateRecipient(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const created = mailer.create(recipient, req.session.user);
+    console.log(`📧 Email recipient added by ${req.session.user.email}: ${created.email}`);
+    res.json(created);
+});
+
+app.put('/api/email/recipients/:id', requireSession, requireAdmin, (req, res) => {
+    const { recipient, error } = validateRecipient(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const updated = mailer.update(parseInt(req.params.id), recipient, req.session.user);
+    if (!updated) {
+        return res.status(404).json({ error: 'Recipient not found' });
+    }
+    res.json(updated);
+});
+
+app.delete('/api/email/recipients/:id', requireSession, requireAdmin, (req, res) => {
+    if (!mailer.remove(parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Recipient not found' });
+    }
+    res.status(204).end();
+});
+
+// Check the SMTP settings with one mail
+app.post('/api/email/test', requireSession, requireAdmin, async (req, res) => {
+    if (!mailer.enabled) {
+        return res.status(503).json({ error: 'Email is not configured (SMTP_HOST)' });
     }
 
-    // Validate not future dates
-    const now = new Date();
-    if (toDate > now) {
-        return res.status(400).json({ error: 'End date cannot be in the future' });
+    const to = (req.body && req.body.to) || req.session.user.email;
+    try {
+        res.json(await mailer.sendTest(to));
+    } catch (error) {
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// Send today's summary now (to one recipient when recipientId is given)
+app.post('/api/email/summary', requireSession, requireAdmin, async (req, res) => {
+    if (!mailer.enabled) {
+        return res.status(503).json({ error: 'Email is not configured (SMTP_HOST)' });
+    }
+
+    const recipientId = req.body && req.body.recipientId ? parseInt(req.body.recipientId) : null;
+    if (recipientId && !mailer.get(recipientId)) {
+        return res.status(404).json({ error: 'Recipient not found' });
     }
 
-    proxyToTraccar(req, res, '/api/reports/route');
+    try {
+        res.json({ sent: await mailer.sendSummary(recipientId) });
+    } catch (error) {
+        res.status(502).json({ error: error.message });
+    }
 });
 
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
-        authenticated: !!sessionCookie,
+        sessions: sessions.size,
+        upstreams: hub.upstreams.size,
+        clients: hub.clients.size,
         timestamp: new Date().toISOString()
     });
 });
@@ -166,7 +1086,8 @@ app.get('/api/health', (req, res) => {
 // Config endpoint - provides frontend configuration
 app.get('/api/config', (req, res) => {
     res.json({
-        mapboxToken: MAPBOX_TOKEN
+        mapboxToken: MAPBOX_TOKEN,
+        historyMaxDays: HISTORY_MAX_DAYS
     });
 });
 
@@ -189,67 +1110,118 @@ wss.on('close', () => {
     clearInterval(heartbeatInterval);
 });
 
-wss.on('connection', async (clientWs) => {
-    console.log('📡 New WebSocket client connected');
-
-    // Initialize heartbeat tracking
-    clientWs.isAlive = true;
-    clientWs.on('pong', () => { clientWs.isAlive = true; });
+// Shared Traccar feed - one upstream for everyone with a service account,
+// otherwise one per Traccar user, fanned out to that user's browsers
+const hub = new RealtimeHub({
+    traccarUrl: TRACCAR_URL,
+    serviceCookie: TRACCAR_EMAIL && TRACCAR_PASSWORD ? getServiceCookie : null,
+    loadDeviceIds,
+    loadSnapshot: async (session) => {
+        const [devices, positions] = await Promise.all([
+            traccarGet(session.traccarCookie, '/api/devices'),
+            traccarGet(session.traccarCookie, '/api/positions')
+        ]);
+        rememberDevices(session, devices);
+        rules.updateDevices(devices);
+        webhooks.updateDevices(devices);
+        mailer.updateDevices(devices);
+        return { devices, positions };
+    }
+});
 
-    // Ensure we have a session
-    if (!sessionCookie) {
-        await authenticateTraccar();
+// Persist every live position (a range is only served from the store once read from Traccar)
+hub.on('message', (data) => {
+    if (data.devices) {
+        rules.updateDevices(data.devices);
     }
+    if (data.positions) {
+        store.record(data.positions);
+        rules.processPositions(data.positions);
+    }
+    webhooks.handleMessage(data);
+    mailer.handleMessage(data);
+});
 
-    if (!sessionCookie) {
-        clientWs.close(1008, 'Unable to authenticate with Traccar');
+// Alerts go to the browsers allowed to see the device
+rules.on('alert', (alert) => {
+    console.log(`🚨 Alert "${alert.ruleName}" (${alert.type}) for device ${alert.deviceId}`);
+    hub.broadcastAlerts([alert]);
+    webhooks.handleAlert(alert);
+    mailer.handleAlert(alert);
+});
+
+hub.on('unauthorized', (key) => {
+    if (key === 'service') {
+        // Log in again on the next connection attempt
+        serviceCookie = null;
         return;
     }
 
-    // Connect to Traccar WebSocket
-    const traccarWsUrl = TRACCAR_URL.replace('https://', 'wss://').replace('http://', 'ws://') + '/api/socket';
+    // Traccar rejected the user's cookie - end their sessions
+    const userId = parseInt(key.split(':')[1]);
+    sessions.forUser(userId).forEach(session => sessions.destroy(session.id, 'expired'));
+});
 
-    const traccarWs = new WebSocket(traccarWsUrl, {
-        headers: {
-            'Cookie': sessionCookie
+hub.on('expired', (session) => sessions.destroy(session.id, 'expired'));
+
+// Close the sockets of a session when it ends
+sessions.on('destroy', (session, reason) => {
+    wss.clients.forEach(ws => {
+        if (ws.session && ws.session.id === session.id) {
+            ws.close(4401, reason === 'expired' ? 'Session expired' : 'Logged out');
         }
     });
 
-    traccarWs.on('open', () => {
-        console.log('✅ Connected to Traccar WebSocket');
-    });
+    if (sessions.forUser(session.user.id).length === 0) {
+        hub.closeUser(session.user.id);
+    }
+});
 
-    traccarWs.on('message', (data) => {
-        // Forward messages from Traccar to client
-        if (clientWs.readyState === WebSocket.OPEN) {
-            clientWs.send(data.toString());
-        }
-    });
+wss.on('connection', (clientWs, req) => {
+    const session = sessions.fromRequest(req);
+    if (!session) {
+        clientWs.close(4401, 'Not authenticated');
+        return;
+    }
 
-    traccarWs.on('error', (error) => {
-        console.error('❌ Traccar WebSocket error:', error.message);
-    });
+    console.log(`📡 New WebSocket client connected (${session.user.email})`);
 
-    traccarWs.on('close', () => {
-        console.log('🔌 Traccar WebSocket closed');
-        clientWs.close();
+    // Initialize heartbeat tracking
+    clientWs.isAlive = true;
+    clientWs.on('pong', () => {
+        clientWs.isAlive = true;
+        // An open live view keeps the session from idling out
+        sessions.get(session.id);
     });
 
     clientWs.on('close', () => {
         console.log('📴 Client WebSocket disconnected');
-        traccarWs.close();
+        hub.removeClient(clientWs);
     });
 
     clientWs.on('error', (error) => {
         console.error('Client WebSocket error:', error.message);
-        traccarWs.close();
     });
+
+    hub.addClient(clientWs, session);
 });
 
 // Start server
-async function start() {
-    // Pre-authenticate with Traccar
-    await authenticateTraccar();
+function start() {
+    // Open the shared feed right away so it does not depend on any browser
+    hub.start();
+
+    // Rules, webhooks and emails need every device before the first browser connects
+    if (TRACCAR_EMAIL && TRACCAR_PASSWORD) {
+        getServiceCookie()
+            .then(cookie => traccarGet(cookie, '/api/devices'))
+            .then(devices => {
+                rules.updateDevices(devices);
+                webhooks.updateDevices(devices);
+                mailer.updateDevices(devices);
+            })
+            .catch(error => console.error('Failed to load devices for alerts, webhooks and emails:', error.message));
+    }
 
     server.listen(PORT, () => {
         console.log(`
@@ -264,4 +1236,16 @@ async function start() {
     });
 }
 
-start();
+// Write buffered positions before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        store.close();
+        commandLog.close();
+        rules.close();
+        webhooks.close();
+        mailer.close();
+        process.exit(0);
+    });
+});
+
+start();
\ No newline at end of file